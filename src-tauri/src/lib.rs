@@ -215,6 +215,33 @@ async fn read_json_file(filename: String) -> Result<JsonValue, String> {
     }
 }
 
+#[tauri::command]
+async fn write_export_file(filename: String, contents: String) -> Result<String, String> {
+    let app_dir = match std::env::var("APPDATA") {
+        Ok(appdata) => Path::new(&appdata).join("ucanduit"),
+        Err(_) => match std::env::var("HOME") {
+            Ok(home) => Path::new(&home).join(".ucanduit"),
+            Err(_) => std::env::current_dir().unwrap().join("data"),
+        },
+    };
+    let export_dir = app_dir.join("exports");
+
+    if let Err(e) = fs::create_dir_all(&export_dir) {
+        return Err(format!("Failed to create export directory: {}", e));
+    }
+
+    // Only a bare file name is accepted so exports cannot escape the export directory
+    let name = Path::new(&filename)
+        .file_name()
+        .ok_or(format!("Invalid export file name: {}", filename))?;
+    let file_path = export_dir.join(name);
+
+    match fs::write(&file_path, contents) {
+        Ok(_) => Ok(file_path.to_string_lossy().to_string()),
+        Err(e) => Err(format!("Failed to write file: {}", e)),
+    }
+}
+
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
     tauri::Builder::default()
@@ -226,7 +253,8 @@ pub fn run() {
             scan_audio_directories,
             get_supported_audio_formats,
             write_json_file,
-            read_json_file
+            read_json_file,
+            write_export_file
         ])
         .setup(|app| {
             if cfg!(debug_assertions) {
@@ -0,0 +1,174 @@
+/**
+ * Kanban Keyboard Module
+ * Shortcut mapping and card navigation for the kanban window
+ * Usage: import { getKanbanShortcut, findNextCard, KANBAN_SHORTCUTS } from './kanban-keyboard.js';
+ *
+ * Boards are treated as a grid of columns holding cards (list cards on the priority
+ * board, item cards on list, all-lists and matrix boards; the matrix quadrants form
+ * a 2×2 grid rather than a row). The window turns an action returned
+ * by getKanbanShortcut into focus changes or board edits.
+ */
+
+// Shown in the "?" overlay, in display order
+export const KANBAN_SHORTCUTS = [
+    { keys: ['←', '→', '↑', '↓'], alt: 'h j k l', description: 'Move focus between cards and columns' },
+    { keys: ['Shift', '←', '→'], alt: 'H L', description: 'Move the focused card to the previous or next column' },
+    { keys: ['Shift', '↑', '↓'], alt: 'K J', description: 'Move the focused card up or down' },
+    { keys: ['Enter'], description: 'Open the focused list or item' },
+    { keys: ['n'], description: 'New list or item' },
+    { keys: ['e'], description: 'Edit the focused list or item' },
+    { keys: ['d'], alt: 'Delete', description: 'Move the focused list or item to the trash' },
+    { keys: ['/'], description: 'Search' },
+    { keys: ['Backspace'], description: 'Back to the priority board' },
+    { keys: ['Ctrl', 'Z'], alt: 'Ctrl+Shift+Z', description: 'Undo / redo' },
+    { keys: ['?'], description: 'Show this help' },
+    { keys: ['Esc'], description: 'Close dialogs and search' }
+];
+
+const FOCUS_KEYS = {
+    ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down',
+    h: 'left', l: 'right', k: 'up', j: 'down'
+};
+const MOVE_KEYS = {
+    ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down',
+    H: 'left', L: 'right', K: 'up', J: 'down'
+};
+const COMMAND_KEYS = {
+    n: 'new',
+    e: 'edit',
+    d: 'delete',
+    Delete: 'delete',
+    '/': 'search',
+    '?': 'help',
+    Backspace: 'back'
+};
+
+/**
+ * Map a keydown event to a board action
+ * Text fields, and Enter on buttons and links, keep their native behaviour.
+ * @param {KeyboardEvent} event - Keydown event
+ * @returns {string|null} e.g. 'focus-left', 'move-right', 'open', 'new', 'help', or null
+ */
+export function getKanbanShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return null;
+
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+        return null;
+    }
+
+    if (event.key === 'Enter') {
+        return target && ['BUTTON', 'A'].includes(target.tagName) ? null : 'open';
+    }
+    if (event.shiftKey && MOVE_KEYS[event.key]) {
+        return `move-${MOVE_KEYS[event.key]}`;
+    }
+    if (!event.shiftKey && FOCUS_KEYS[event.key]) {
+        return `focus-${FOCUS_KEYS[event.key]}`;
+    }
+    return COMMAND_KEYS[event.key] || null;
+}
+
+/**
+ * Find the card to focus next
+ * Up and down stay in the column; left and right skip empty columns and keep the row
+ * where possible. With nothing focused, the first card on the board is chosen.
+ * @param {Array<Array>} columns - Cards per column, in display order
+ * @param {Object|null} current - { column, index } of the focused card
+ * @param {string} direction - 'left', 'right', 'up' or 'down'
+ * @returns {Object|null} { column, index }, or null if the board has no cards
+ */
+export function findNextCard(columns, current, direction) {
+    if (!current) {
+        const column = columns.findIndex(cards => cards.length > 0);
+        return column === -1 ? null : { column, index: 0 };
+    }
+
+    const { column, index } = current;
+    if (direction === 'up') {
+        return { column, index: Math.max(index - 1, 0) };
+    }
+    if (direction === 'down') {
+        return { column, index: Math.min(index + 1, columns[column].length - 1) };
+    }
+
+    const step = direction === 'left' ? -1 : 1;
+    for (let next = column + step; next >= 0 && next < columns.length; next += step) {
+        if (columns[next].length > 0) {
+            return { column: next, index: Math.min(index, columns[next].length - 1) };
+        }
+    }
+    return current;
+}
+
+/**
+ * Find the card to focus next on a board whose card groups are laid out in rows
+ * (the 2×2 priority matrix). Left and right stay in the row; up and down move through
+ * the group and carry on into the group above or below at its first or last card.
+ * @param {Array<Array>} groups - Cards per group, in reading order
+ * @param {number} width - Groups per row
+ * @param {Object|null} current - { column, index } of the focused card
+ * @param {string} direction - 'left', 'right', 'up' or 'down'
+ * @returns {Object|null} { column, index }, or null if the board has no cards
+ */
+export function findNextGridCard(groups, width, current, direction) {
+    if (!current) return findNextCard(groups, null, direction);
+
+    const { column, index } = current;
+    const cards = groups[column];
+    if (direction === 'up' && index > 0) return { column, index: index - 1 };
+    if (direction === 'down' && index < cards.length - 1) return { column, index: index + 1 };
+
+    const next = getGridNeighbour(column, width, groups.length, direction);
+    if (next === -1 || groups[next].length === 0) return current;
+    if (direction === 'up') return { column: next, index: groups[next].length - 1 };
+    if (direction === 'down') return { column: next, index: 0 };
+    return { column: next, index: Math.min(index, groups[next].length - 1) };
+}
+
+/**
+ * Neighbouring group in a grid of groups laid out in rows
+ * @param {number} column - Group index, in reading order
+ * @param {number} width - Groups per row
+ * @param {number} count - Number of groups
+ * @param {string} direction - 'left', 'right', 'up' or 'down'
+ * @returns {number} Index of the neighbour, or -1 at the edge of the grid
+ */
+export function getGridNeighbour(column, width, count, direction) {
+    const offsets = { left: -1, right: 1, up: -width, down: width };
+    const next = column + offsets[direction];
+    const sameRow = Math.floor(next / width) === Math.floor(column / width);
+    if (next < 0 || next >= count) return -1;
+    if ((direction === 'left' || direction === 'right') && !sameRow) return -1;
+    return next;
+}
+
+/**
+ * Locate a card in the column grid
+ * @param {Array<Array>} columns - Cards per column
+ * @param {*} card - Card to find
+ * @returns {Object|null} { column, index }, or null if the card is not on the board
+ */
+export function findCardPosition(columns, card) {
+    for (let column = 0; column < columns.length; column++) {
+        const index = columns[column].indexOf(card);
+        if (index !== -1) return { column, index };
+    }
+    return null;
+}
+
+/**
+ * Render the shortcut overlay rows
+ * @returns {string} HTML
+ */
+export function renderShortcutHelp() {
+    return KANBAN_SHORTCUTS.map(shortcut => `
+        <div class="shortcut-row">
+            <span class="shortcut-keys">
+                ${shortcut.keys.map(key => `<kbd>${key}</kbd>`).join(' ')}
+                ${shortcut.alt ? `<span class="shortcut-alt">or ${shortcut.alt.split(' ').map(key => `<kbd>${key}</kbd>`).join(' ')}</span>` : ''}
+            </span>
+            <span class="shortcut-description">${shortcut.description}</span>
+        </div>
+    `).join('');
+}
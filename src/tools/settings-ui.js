@@ -72,6 +72,11 @@ export class SettingsUI {
         this.bindInput('preset-focus', 'timer.presets.focus', parseInt);
         this.bindCheckbox('timer-sound-enabled', 'timer.soundEnabled');
         this.bindCheckbox('timer-auto-start', 'timer.autoStart');
+        this.bindInput('timer-rounds', 'timer.roundsBeforeLongBreak', parseInt);
+
+        // Todo settings
+        this.bindInput('todo-trash-retention', 'todos.trashRetentionDays', parseInt);
+        this.bindInput('todo-urgent-within', 'todos.urgentWithinDays', parseInt);
 
         // Audio settings
         this.bindSlider('master-volume', 'audio.masterVolume', (val) => val / 100);
@@ -164,6 +169,11 @@ export class SettingsUI {
         this.setInputValue('preset-focus', allSettings.timer?.presets?.focus);
         this.setCheckboxValue('timer-sound-enabled', allSettings.timer?.soundEnabled);
         this.setCheckboxValue('timer-auto-start', allSettings.timer?.autoStart);
+        this.setInputValue('timer-rounds', allSettings.timer?.roundsBeforeLongBreak);
+
+        // Todo settings
+        this.setInputValue('todo-trash-retention', allSettings.todos?.trashRetentionDays);
+        this.setInputValue('todo-urgent-within', allSettings.todos?.urgentWithinDays);
 
         // Audio settings
         this.setSliderValue('master-volume', Math.round((allSettings.audio?.masterVolume || 0.7) * 100));
@@ -31,7 +31,8 @@ export class SettingsManager {
                     quick: 10
                 },
                 soundEnabled: true,
-                autoStart: false
+                autoStart: false, // start the next Pomodoro cycle phase without waiting
+                roundsBeforeLongBreak: 4 // work sessions in a cycle before the long break
             },
             ui: {
                 theme: "auto", // auto, light, dark
@@ -39,6 +40,12 @@ export class SettingsManager {
                 showNotifications: true,
                 minimizeToTray: true
             },
+            todos: {
+                trashRetentionDays: 30, // days deleted lists/items stay in the trash, 0 = forever
+                collapsedLists: [], // list IDs collapsed in the compact todo view
+                myDayPlannedOn: null, // date (YYYY-MM-DD) My Day was last planned
+                urgentWithinDays: 2 // items due within this many days are urgent in the priority matrix
+            },
             audio: {
                 masterVolume: 0.7,
                 ambientVolume: 0.5,
@@ -0,0 +1,100 @@
+/**
+ * Timer Pomodoro Module
+ * Work/break cycle for the timer: work → short break → work … → long break
+ * Usage: import { createCycle, getNextPhase, getPomodoroConfig } from './timer-pomodoro.js';
+ *
+ * A cycle is { phase, round }: phase is a key of POMODORO_PHASES and round counts work
+ * sessions since the last long break (1-based). Phase lengths come from the settings
+ * timer.presets (pomodoro, shortBreak, longBreak); the long break follows every
+ * timer.roundsBeforeLongBreak work sessions, and timer.autoStart starts each next phase
+ * without waiting for the Start button. Session records carry phase and round.
+ */
+
+import { settings } from './settings.js';
+
+// sessionType matches TimerTool.getSessionType() so stats treat both alike
+export const POMODORO_PHASES = {
+    work: { name: 'Focus', icon: '🍅', preset: 'pomodoro', sessionType: 'pomodoro' },
+    shortBreak: { name: 'Short break', icon: '☕', preset: 'shortBreak', sessionType: 'shortBreak' },
+    longBreak: { name: 'Long break', icon: '🌴', preset: 'longBreak', sessionType: 'longBreak' }
+};
+
+export const EXTEND_SECONDS = 5 * 60;
+const DEFAULT_MINUTES = { pomodoro: 25, shortBreak: 5, longBreak: 15 };
+const DEFAULT_ROUNDS = 4;
+
+/**
+ * Cycle settings
+ * @returns {Object} { rounds, autoStart, minutes: { pomodoro, shortBreak, longBreak } }
+ */
+export function getPomodoroConfig() {
+    const rounds = parseInt(settings.get('timer.roundsBeforeLongBreak'), 10);
+    const presets = settings.get('timer.presets') || {};
+    const minutes = {};
+    Object.keys(DEFAULT_MINUTES).forEach(preset => {
+        const value = parseInt(presets[preset], 10);
+        minutes[preset] = value > 0 ? value : DEFAULT_MINUTES[preset];
+    });
+
+    return {
+        rounds: rounds > 0 ? rounds : DEFAULT_ROUNDS,
+        autoStart: settings.get('timer.autoStart') === true,
+        minutes
+    };
+}
+
+/**
+ * A new cycle, starting with the first work session
+ * @returns {Object} { phase: 'work', round: 1 }
+ */
+export function createCycle() {
+    return { phase: 'work', round: 1 };
+}
+
+/**
+ * Check whether a phase is a break
+ * @param {string} phase - Key of POMODORO_PHASES
+ * @returns {boolean} True for short and long breaks
+ */
+export function isBreakPhase(phase) {
+    return phase === 'shortBreak' || phase === 'longBreak';
+}
+
+/**
+ * The phase after the current one
+ * Work is followed by a short break, or a long break after the last round; a short
+ * break leads to the next round and a long break starts over at round 1.
+ * @param {Object} cycle - { phase, round }
+ * @param {number} rounds - Work sessions before a long break
+ * @returns {Object} The next { phase, round }
+ */
+export function getNextPhase(cycle, rounds) {
+    if (cycle.phase === 'work') {
+        return { phase: cycle.round >= rounds ? 'longBreak' : 'shortBreak', round: cycle.round };
+    }
+    if (cycle.phase === 'shortBreak') {
+        return { phase: 'work', round: cycle.round + 1 };
+    }
+    return createCycle();
+}
+
+/**
+ * Length of a phase
+ * @param {string} phase - Key of POMODORO_PHASES
+ * @param {Object} config - Result of getPomodoroConfig
+ * @returns {number} Seconds
+ */
+export function getPhaseSeconds(phase, config) {
+    return config.minutes[POMODORO_PHASES[phase].preset] * 60;
+}
+
+/**
+ * Round counter text, e.g. "🍅 Focus · Round 2 of 4"
+ * @param {Object} cycle - { phase, round }
+ * @param {number} rounds - Work sessions before a long break
+ * @returns {string} Label
+ */
+export function describeCycle(cycle, rounds) {
+    const phase = POMODORO_PHASES[cycle.phase];
+    return `${phase.icon} ${phase.name} · Round ${cycle.round} of ${rounds}`;
+}
@@ -1,10 +1,12 @@
 /**
  * Timer Tool - ES6 Module
- * Pomodoro and focus timer with session tracking and enhanced functionality
+ * Pomodoro and focus timer with session tracking, work/break cycles and enhanced functionality
  * Built on the ucanduit tool framework
  */
 
 import { ToolBase } from './tool-base.js';
+import { listenForFocusRequests } from './todo-focus.js';
+import { POMODORO_PHASES, EXTEND_SECONDS, createCycle, describeCycle, getNextPhase, getPhaseSeconds, getPomodoroConfig, isBreakPhase } from './timer-pomodoro.js';
 
 export class TimerTool extends ToolBase {
     constructor(container) {
@@ -30,6 +32,14 @@ export class TimerTool extends ToolBase {
         this.sessions = [];
         this.currentSession = null;
         
+        // Todo item the next session is recorded against ({ listId, itemId, text })
+        this.focusItem = null;
+        this.stopFocusRequests = null;
+        
+        // Pomodoro cycle ({ phase, round }, see timer-pomodoro.js); null for a single countdown
+        this.cycle = null;
+        this.phaseTimeout = null;
+        
         // Timer uses existing main CSS styles
     }
     
@@ -37,6 +47,9 @@ export class TimerTool extends ToolBase {
     async init() {
         await this.loadFromStorage();
         await super.init(); // This will call render() and bindEvents()
+        
+        // Kanban windows ask for focus sessions on their items
+        this.stopFocusRequests = await listenForFocusRequests((target) => this.startForItem(target));
     }
     
     
@@ -109,6 +122,8 @@ export class TimerTool extends ToolBase {
                         <div style="font-size: 18px; font-weight: 700; color: var(--text-primary); font-family: 'Quicksand', monospace;" id="timer-time-${this.id}">
                             ${this.formatTime(this.remainingSeconds)}
                         </div>
+                        <div id="timer-focus-item-${this.id}" style="display: none; font-size: 11px; color: var(--primary); margin-top: 2px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></div>
+                        <div id="timer-cycle-${this.id}" style="display: none; font-size: 11px; color: var(--text-secondary); margin-top: 2px;"></div>
                     </div>
                     
                     <!-- Duration Slider -->
@@ -131,6 +146,19 @@ export class TimerTool extends ToolBase {
                         <button id="timer-reset-${this.id}" style="font-size: 12px; padding: 6px 10px;">
                             ⏹ Reset
                         </button>
+                        <button id="timer-cycle-toggle-${this.id}" style="font-size: 12px; padding: 6px 10px;" title="Chain work sessions and breaks">
+                            🍅 Cycle
+                        </button>
+                    </div>
+                    
+                    <!-- Pomodoro Cycle Controls -->
+                    <div id="timer-cycle-controls-${this.id}" style="display: none; gap: 8px; align-items: center; justify-content: center; margin-bottom: 10px;">
+                        <button id="timer-skip-${this.id}" style="font-size: 11px; padding: 4px 8px;" title="Go to the next phase">
+                            ⏭ Skip
+                        </button>
+                        <button id="timer-extend-${this.id}" style="font-size: 11px; padding: 4px 8px;" title="Add ${EXTEND_SECONDS / 60} minutes to this phase">
+                            +${EXTEND_SECONDS / 60} min
+                        </button>
                     </div>
                     
                     <!-- Expand Options Button -->
@@ -200,9 +228,15 @@ export class TimerTool extends ToolBase {
             // Basic view elements
             basicView: this.find(`#timer-basic-view-${this.id}`),
             timeDisplay: this.find(`#timer-time-${this.id}`),
+            focusItemLabel: this.find(`#timer-focus-item-${this.id}`),
             startBtn: this.find(`#timer-start-${this.id}`),
             pauseBtn: this.find(`#timer-pause-${this.id}`),
             resetBtn: this.find(`#timer-reset-${this.id}`),
+            cycleLabel: this.find(`#timer-cycle-${this.id}`),
+            cycleToggleBtn: this.find(`#timer-cycle-toggle-${this.id}`),
+            cycleControls: this.find(`#timer-cycle-controls-${this.id}`),
+            skipBtn: this.find(`#timer-skip-${this.id}`),
+            extendBtn: this.find(`#timer-extend-${this.id}`),
             expandBtn: this.find(`#timer-expand-${this.id}`),
             slider: this.find(`#timer-slider-${this.id}`),
             sliderLabel: this.find(`#slider-label-${this.id}`),
@@ -222,6 +256,7 @@ export class TimerTool extends ToolBase {
         this.elements.presetBtns = this.container.querySelectorAll('.timer-preset-btn');
         
         this.updateDisplay();
+        this.updateCycleDisplay();
         
         // Initialize timer ring after DOM is ready
         setTimeout(() => {
@@ -235,6 +270,17 @@ export class TimerTool extends ToolBase {
         this.elements.pauseBtn.addEventListener('click', () => this.pause());
         this.elements.resetBtn.addEventListener('click', () => this.reset());
         
+        // Pomodoro cycle controls
+        this.elements.cycleToggleBtn.addEventListener('click', () => {
+            if (this.cycle) {
+                this.stopCycle();
+            } else {
+                this.startCycle();
+            }
+        });
+        this.elements.skipBtn.addEventListener('click', () => this.skipPhase());
+        this.elements.extendBtn.addEventListener('click', () => this.extendPhase());
+        
         // Duration slider
         this.elements.slider.addEventListener('input', (e) => {
             const minutes = parseInt(e.target.value);
@@ -289,14 +335,23 @@ export class TimerTool extends ToolBase {
         this.isRunning = true;
         this.startTime = Date.now();
         
-        // Create new session record
+        // Create new session record (cycle sessions are tagged with their phase)
         this.currentSession = {
             id: this.generateId(),
             startTime: this.startTime,
             duration: this.totalSeconds,
-            type: this.getSessionType(),
+            type: this.cycle ? POMODORO_PHASES[this.cycle.phase].sessionType : this.getSessionType(),
             completed: false
         };
+        if (this.cycle) {
+            this.currentSession.phase = this.cycle.phase;
+            this.currentSession.round = this.cycle.round;
+        }
+        // Breaks don't count towards the focused item's time
+        if (this.focusItem && !(this.cycle && isBreakPhase(this.cycle.phase))) {
+            this.currentSession.listId = this.focusItem.listId;
+            this.currentSession.itemId = this.focusItem.itemId;
+        }
         
         // Start countdown
         this.intervalId = setInterval(() => {
@@ -346,9 +401,13 @@ export class TimerTool extends ToolBase {
     }
     
     reset() {
+        // A finished cycle phase stays put instead of moving on
+        clearTimeout(this.phaseTimeout);
+        this.phaseTimeout = null;
         this.pause();
         this.remainingSeconds = this.totalSeconds;
         this.currentSession = null;
+        this.setFocusItem(null);
         this.updateDisplay();
         
         if (window.updateStatus) {
@@ -377,11 +436,7 @@ export class TimerTool extends ToolBase {
     }
     
     updateStats() {
-        const today = new Date().toDateString();
-        const todaySessions = this.sessions.filter(session => {
-            const sessionDate = new Date(session.startTime).toDateString();
-            return sessionDate === today && session.completed;
-        });
+        const todaySessions = this.getTodaysFocusSessions();
 
         // Update session count
         this.elements.sessionsToday.textContent = todaySessions.length;
@@ -430,6 +485,10 @@ export class TimerTool extends ToolBase {
             this.sessions.push(this.currentSession);
             this.saveToStorage();
             
+            if (this.currentSession.itemId) {
+                this.recordItemTime(this.currentSession);
+            }
+            
             // Update stats if expanded view is showing
             if (this.elements.expandedView.style.display !== 'none') {
                 this.updateStats();
@@ -444,9 +503,17 @@ export class TimerTool extends ToolBase {
             window.usageAnalytics.trackTimerComplete(actualMinutes);
         }
         
+        // The cycle moves on to its next phase; a single countdown resets
+        const config = getPomodoroConfig();
+        const nextPhase = this.cycle ? getNextPhase(this.cycle, config.rounds) : null;
+        
         // Status and sound
         if (window.updateStatus) {
-            window.updateStatus('🎉 Timer Complete!', 'success', 5000);
+            let message = this.focusItem ? `🎉 Focus complete: "${this.focusItem.text}"` : '🎉 Timer Complete!';
+            if (nextPhase) {
+                message = `🎉 ${POMODORO_PHASES[this.cycle.phase].name} complete! Next: ${POMODORO_PHASES[nextPhase.phase].name.toLowerCase()}`;
+            }
+            window.updateStatus(message, 'success', 5000);
         }
         
         this.playCompletionSound();
@@ -456,14 +523,152 @@ export class TimerTool extends ToolBase {
             window.timerComplete();
         }
         
-        // Auto-reset after display time
-        setTimeout(() => {
-            this.reset();
-        }, 3000);
+        // Auto-reset (or advance the cycle) after display time
+        if (nextPhase) {
+            this.phaseTimeout = setTimeout(() => {
+                this.enterPhase(nextPhase, config.autoStart);
+            }, 3000);
+        } else {
+            setTimeout(() => {
+                this.reset();
+            }, 3000);
+        }
         
         console.log('🎉 Timer completed!');
     }
     
+    /**
+     * Start a focus session on a todo item, restarting any session in progress
+     * @param {Object} target - { listId, itemId, text }
+     */
+    startForItem(target) {
+        if (!target || !target.itemId) return;
+        
+        // The next cycle phase must not replace this session once it has started
+        clearTimeout(this.phaseTimeout);
+        this.phaseTimeout = null;
+        
+        // A cycle on a break goes back to work for the item
+        if (this.cycle && isBreakPhase(this.cycle.phase)) {
+            this.enterPhase(getNextPhase(this.cycle, getPomodoroConfig().rounds), false);
+        }
+        
+        this.pause();
+        this.remainingSeconds = this.totalSeconds;
+        this.currentSession = null;
+        this.setFocusItem({ listId: target.listId, itemId: target.itemId, text: target.text || '' });
+        this.start();
+        
+        if (window.updateStatus) {
+            window.updateStatus(`Focusing on "${this.focusItem.text}"`, 'success', 3000);
+        }
+    }
+    
+    startCycle() {
+        this.enterPhase(createCycle(), true);
+        
+        if (window.updateStatus) {
+            window.updateStatus('Pomodoro cycle started', 'success', 2000);
+        }
+    }
+    
+    stopCycle() {
+        clearTimeout(this.phaseTimeout);
+        this.phaseTimeout = null;
+        this.cycle = null;
+        this.reset();
+        this.updateCycleDisplay();
+    }
+    
+    /**
+     * Switch the cycle to a phase and load its duration
+     * @param {Object} cycle - { phase, round }
+     * @param {boolean} autoStart - Start the countdown right away
+     */
+    enterPhase(cycle, autoStart) {
+        clearTimeout(this.phaseTimeout);
+        this.phaseTimeout = null;
+        
+        this.cycle = cycle;
+        this.currentSession = null;
+        this.setDuration(getPhaseSeconds(cycle.phase, getPomodoroConfig()));
+        this.updateCycleDisplay();
+        
+        if (autoStart) {
+            this.start();
+        }
+        
+        console.log(`🔁 Pomodoro phase: ${cycle.phase}, round ${cycle.round}`);
+    }
+    
+    // Skipped phases are kept in the history as incomplete sessions
+    skipPhase() {
+        if (!this.cycle) return;
+        
+        const wasRunning = this.isRunning;
+        if (this.currentSession && !this.currentSession.completed) {
+            this.currentSession.endTime = Date.now();
+            this.currentSession.skipped = true;
+            this.currentSession.actualDuration = this.currentSession.endTime - this.currentSession.startTime;
+            this.sessions.push(this.currentSession);
+            this.saveToStorage();
+        }
+        
+        const config = getPomodoroConfig();
+        const skipped = POMODORO_PHASES[this.cycle.phase].name;
+        this.enterPhase(getNextPhase(this.cycle, config.rounds), wasRunning || config.autoStart);
+        
+        if (window.updateStatus) {
+            window.updateStatus(`Skipped ${skipped.toLowerCase()}`, 'accent', 2000);
+        }
+    }
+    
+    extendPhase() {
+        if (this.remainingSeconds === 0) return;
+        
+        this.totalSeconds += EXTEND_SECONDS;
+        this.remainingSeconds += EXTEND_SECONDS;
+        if (this.currentSession) {
+            this.currentSession.duration = this.totalSeconds;
+            this.currentSession.extendedBy = (this.currentSession.extendedBy || 0) + EXTEND_SECONDS;
+        }
+        this.updateDisplay();
+        
+        if (window.updateStatus) {
+            window.updateStatus(`Added ${EXTEND_SECONDS / 60} minutes`, 'accent', 2000);
+        }
+    }
+    
+    updateCycleDisplay() {
+        if (!this.elements || !this.elements.cycleLabel) return;
+        
+        const active = Boolean(this.cycle);
+        this.elements.cycleLabel.textContent = active ? describeCycle(this.cycle, getPomodoroConfig().rounds) : '';
+        this.elements.cycleLabel.style.display = active ? 'block' : 'none';
+        this.elements.cycleControls.style.display = active ? 'flex' : 'none';
+        this.elements.cycleToggleBtn.textContent = active ? '✕ End Cycle' : '🍅 Cycle';
+    }
+    
+    setFocusItem(focusItem) {
+        this.focusItem = focusItem;
+        const label = this.elements && this.elements.focusItemLabel;
+        if (!label) return;
+        
+        label.textContent = focusItem ? `Focusing on: ${focusItem.text}` : '';
+        label.title = label.textContent;
+        label.style.display = focusItem ? 'block' : 'none';
+    }
+    
+    // Completed item sessions count towards the item's time spent (the todo tool owns the data)
+    recordItemTime(session) {
+        const todoTool = window.loadedTools && window.loadedTools.todos;
+        if (!todoTool || typeof todoTool.recordFocusSession !== 'function') {
+            console.warn('⚠️ Todo tool not loaded; focus time not added to the item');
+            return;
+        }
+        todoTool.recordFocusSession(session.listId, session.itemId, Math.round(session.duration / 60));
+    }
+    
     playCompletionSound() {
         try {
             const audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -496,11 +701,16 @@ export class TimerTool extends ToolBase {
     }
     
     getTodaysSessionCount() {
+        return this.getTodaysFocusSessions().length;
+    }
+    
+    // Completed sessions started today, leaving out Pomodoro cycle breaks
+    getTodaysFocusSessions() {
         const today = new Date().toDateString();
         return this.sessions.filter(session => {
             const sessionDate = new Date(session.startTime).toDateString();
-            return sessionDate === today && session.completed;
-        }).length;
+            return sessionDate === today && session.completed && !isBreakPhase(session.phase);
+        });
     }
     
     getSessionType() {
@@ -752,6 +962,12 @@ export class TimerTool extends ToolBase {
     // Cleanup when tool is destroyed
     destroy() {
         this.pause();
+        clearTimeout(this.phaseTimeout);
+        
+        if (this.stopFocusRequests) {
+            this.stopFocusRequests();
+            this.stopFocusRequests = null;
+        }
         
         // Clean up message polling interval
         if (this.messageCheckInterval) {
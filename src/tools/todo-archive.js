@@ -0,0 +1,238 @@
+/**
+ * Todo Archive Module
+ * Archived lists and the trash for deleted lists and items
+ * Usage: import { isListActive, getActiveLists, trashList, restoreFromTrash } from './todo-archive.js';
+ *
+ * Archived lists stay in ucanduit-todos.json with list.archivedAt set and are hidden from
+ * the priority views. Deleted lists and items move to ucanduit-todos-trash.json:
+ *   { lists: { [listId]: { list, deletedAt } },
+ *     items: { [itemId]: { item, listId, listName, deletedAt } } }
+ * Trash entries older than settings todos.trashRetentionDays are purged (0 keeps them forever).
+ */
+
+import { settings } from './settings.js';
+
+const TRASH_FILENAME = 'ucanduit-todos-trash.json';
+const TRASH_STORAGE_KEY = 'ucanduit-todos-trash';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a list is shown in the normal views
+ * @param {Object} list - Todo list
+ * @returns {boolean} True unless the list is archived
+ */
+export function isListActive(list) {
+    return Boolean(list) && !list.archivedAt;
+}
+
+/**
+ * Lists map without archived lists
+ * @param {Object} lists - Lists map
+ * @returns {Object} New map containing only active lists
+ */
+export function getActiveLists(lists) {
+    return Object.fromEntries(Object.entries(lists).filter(([, list]) => isListActive(list)));
+}
+
+/**
+ * Archived lists, most recently archived first
+ * @param {Object} lists - Lists map
+ * @returns {Array<Object>} Archived lists
+ */
+export function getArchivedLists(lists) {
+    return Object.values(lists)
+        .filter(list => list.archivedAt)
+        .sort((a, b) => b.archivedAt - a.archivedAt);
+}
+
+/**
+ * Trash retention from settings
+ * @returns {number} Days to keep trashed entries (0 = forever)
+ */
+export function getTrashRetentionDays() {
+    const days = parseInt(settings.get('todos.trashRetentionDays'), 10);
+    return Number.isInteger(days) && days >= 0 ? days : 30;
+}
+
+/**
+ * Days left before a trashed entry is purged
+ * @param {number} deletedAt - Deletion timestamp
+ * @param {Date} [now] - Reference time
+ * @returns {number|null} Whole days remaining, or null if entries are kept forever
+ */
+export function getDaysUntilPurge(deletedAt, now = new Date()) {
+    const retentionDays = getTrashRetentionDays();
+    if (retentionDays === 0) return null;
+    return Math.max(0, Math.ceil((deletedAt + retentionDays * DAY_MS - now.getTime()) / DAY_MS));
+}
+
+/**
+ * Load the trash, dropping expired entries
+ * @returns {Promise<Object>} Trash contents
+ */
+export async function loadTrash() {
+    let trash = null;
+
+    try {
+        if (window.__TAURI__ && window.__TAURI__.core) {
+            trash = await window.__TAURI__.core.invoke('read_json_file', {
+                filename: TRASH_FILENAME
+            }).catch(() => null);
+        } else {
+            trash = JSON.parse(localStorage.getItem(TRASH_STORAGE_KEY) || 'null');
+        }
+    } catch (error) {
+        console.warn('⚠️ Could not read todo trash:', error);
+    }
+
+    trash = {
+        lists: (trash && trash.lists) || {},
+        items: (trash && trash.items) || {}
+    };
+
+    if (purgeExpired(trash)) {
+        await saveTrash(trash);
+    }
+    return trash;
+}
+
+/**
+ * Write the trash
+ * @param {Object} trash - Trash contents
+ */
+export async function saveTrash(trash) {
+    if (window.__TAURI__ && window.__TAURI__.core) {
+        await window.__TAURI__.core.invoke('write_json_file', {
+            filename: TRASH_FILENAME,
+            data: trash
+        });
+        return;
+    }
+    localStorage.setItem(TRASH_STORAGE_KEY, JSON.stringify(trash));
+}
+
+/**
+ * Remove entries older than the retention period
+ * @param {Object} trash - Trash contents (mutated)
+ * @param {Date} [now] - Reference time
+ * @returns {boolean} True if anything was removed
+ */
+export function purgeExpired(trash, now = new Date()) {
+    const retentionDays = getTrashRetentionDays();
+    if (retentionDays === 0) return false;
+
+    const cutoff = now.getTime() - retentionDays * DAY_MS;
+    let changed = false;
+
+    ['lists', 'items'].forEach(kind => {
+        Object.entries(trash[kind]).forEach(([id, entry]) => {
+            if (!entry || !entry.deletedAt || entry.deletedAt < cutoff) {
+                delete trash[kind][id];
+                changed = true;
+            }
+        });
+    });
+
+    return changed;
+}
+
+/**
+ * Move a list (with its items) to the trash
+ * The caller removes it from the lists map afterwards.
+ * @param {Object} list - List being deleted
+ */
+export async function trashList(list) {
+    const trash = await loadTrash();
+    trash.lists[list.id] = { list: JSON.parse(JSON.stringify(list)), deletedAt: Date.now() };
+    await saveTrash(trash);
+}
+
+/**
+ * Move an item to the trash
+ * The caller removes it from its list afterwards.
+ * @param {Object} list - List owning the item
+ * @param {Object} item - Item being deleted
+ */
+export async function trashItem(list, item) {
+    const trash = await loadTrash();
+    trash.items[item.id] = {
+        item: JSON.parse(JSON.stringify(item)),
+        listId: list.id,
+        listName: list.name,
+        deletedAt: Date.now()
+    };
+    await saveTrash(trash);
+}
+
+/**
+ * Put a trashed list or item back into the lists map
+ * Items whose list no longer exists are restored into a list recreated with the old name and ID.
+ * @param {Object} lists - Lists map (mutated)
+ * @param {string} kind - 'lists' or 'items'
+ * @param {string} id - Trashed list or item ID
+ * @returns {Promise<Object|null>} { list, item } that was restored, or null if not in the trash
+ */
+export async function restoreFromTrash(lists, kind, id) {
+    const trash = await loadTrash();
+    const entry = trash[kind][id];
+    if (!entry) return null;
+
+    let restored;
+    if (kind === 'lists') {
+        const list = entry.list;
+        list.position = Object.values(lists).filter(other => other.priority === list.priority).length;
+        list.archivedAt = null;
+        // Links were detached from the other items when the list was deleted
+        Object.values(list.items || {}).forEach(item => {
+            item.linkedItems = [];
+        });
+        // Items restored earlier may have recreated the list under its old ID
+        if (lists[list.id]) {
+            list.items = { ...list.items, ...lists[list.id].items };
+        }
+        lists[list.id] = list;
+        restored = { list, item: null };
+    } else {
+        // The list is recreated under its old ID, so later restores from it land there too
+        let list = lists[entry.listId];
+        if (!list) {
+            const listId = entry.listId;
+            list = {
+                id: listId,
+                name: entry.listName,
+                items: {},
+                priority: 'medium',
+                dueDate: null,
+                position: Object.values(lists).filter(other => other.priority === 'medium').length,
+                createdAt: Date.now()
+            };
+            lists[listId] = list;
+        }
+        const item = entry.item;
+        item.position = Object.values(list.items).filter(other => other.status === item.status).length;
+        // Links were detached from the other items when this one was deleted
+        item.linkedItems = [];
+        list.items[item.id] = item;
+        restored = { list, item };
+    }
+
+    delete trash[kind][id];
+    await saveTrash(trash);
+    return restored;
+}
+
+/**
+ * Permanently delete one trashed entry, or everything when no ID is given
+ * @param {string} [kind] - 'lists' or 'items'
+ * @param {string} [id] - Entry ID
+ */
+export async function deleteFromTrash(kind, id) {
+    const trash = await loadTrash();
+    if (kind && id) {
+        delete trash[kind][id];
+    } else {
+        trash.lists = {};
+        trash.items = {};
+    }
+    await saveTrash(trash);
+}
@@ -0,0 +1,216 @@
+/**
+ * Todo Columns Module
+ * Per-list kanban columns with names, colours, ordering and WIP limits
+ * Usage: import { getListColumns, addColumn, getWipState } from './todo-columns.js';
+ *
+ * Lists may define list.columns: [{ id, name, color, wipLimit }]. Items store the column
+ * ID in item.status. Lists without columns use the default To Do / In Progress / Done,
+ * so existing data needs no migration. The three default columns are built in: they can
+ * be renamed, recoloured, reordered and limited but not removed, because completion
+ * ('done'), new items ('todo') and checklist progress ('inprogress') rely on them.
+ */
+
+export const DEFAULT_COLUMNS = [
+    { id: 'todo', name: 'To Do', color: null, wipLimit: null },
+    { id: 'inprogress', name: 'In Progress', color: null, wipLimit: null },
+    { id: 'done', name: 'Done', color: null, wipLimit: null }
+];
+
+export const COLUMN_ICONS = {
+    todo: 'iconoir-list',
+    inprogress: 'iconoir-play',
+    done: 'iconoir-check'
+};
+
+const MAX_COLUMN_NAME_LENGTH = 40;
+
+/**
+ * Check whether a column is one of the built-in defaults
+ * @param {string} columnId - Column ID
+ * @returns {boolean} True for 'todo', 'inprogress' and 'done'
+ */
+export function isBuiltInColumn(columnId) {
+    return DEFAULT_COLUMNS.some(column => column.id === columnId);
+}
+
+/**
+ * Columns of a list in display order, always including the built-in ones
+ * @param {Object} list - Todo list
+ * @returns {Array<Object>} Columns (copies; edit through the functions below)
+ */
+export function getListColumns(list) {
+    const columns = Array.isArray(list.columns) && list.columns.length > 0
+        ? list.columns.map(column => ({ ...column }))
+        : DEFAULT_COLUMNS.map(column => ({ ...column }));
+
+    // Built-in columns removed by hand-edited data are put back at the end
+    DEFAULT_COLUMNS.forEach(builtIn => {
+        if (!columns.some(column => column.id === builtIn.id)) {
+            columns.push({ ...builtIn });
+        }
+    });
+    return columns;
+}
+
+/**
+ * Find a list column
+ * @param {Object} list - Todo list
+ * @param {string} columnId - Column ID (item status)
+ * @returns {Object|null} Column, or null if the list has no such column
+ */
+export function getColumn(list, columnId) {
+    return getListColumns(list).find(column => column.id === columnId) || null;
+}
+
+/**
+ * Display name of an item status within a list
+ * @param {Object} list - Todo list
+ * @param {string} columnId - Column ID (item status)
+ * @returns {string} Column name
+ */
+export function getColumnName(list, columnId) {
+    const column = getColumn(list, columnId);
+    return column ? column.name : DEFAULT_COLUMNS[0].name;
+}
+
+/**
+ * Column an item is shown in; items whose column was removed elsewhere fall back to To Do
+ * @param {Object} list - Todo list
+ * @param {Object} item - Todo item
+ * @returns {string} Column ID
+ */
+export function getItemColumnId(list, item) {
+    return getColumn(list, item.status) ? item.status : 'todo';
+}
+
+/**
+ * Built-in column an item's column belongs under on boards spanning several lists
+ * A custom column counts as the nearest built-in column to its left (Backlog placed
+ * before To Do counts as To Do, Review after In Progress as In Progress).
+ * @param {Object} list - Todo list
+ * @param {Object} item - Todo item
+ * @returns {string} 'todo', 'inprogress' or 'done'
+ */
+export function getItemStage(list, item) {
+    const columnId = getItemColumnId(list, item);
+    if (isBuiltInColumn(columnId)) return columnId;
+
+    const columns = getListColumns(list);
+    const index = columns.findIndex(column => column.id === columnId);
+    const builtInBefore = columns.slice(0, index).reverse().find(column => isBuiltInColumn(column.id));
+    return builtInBefore ? builtInBefore.id : 'todo';
+}
+
+/**
+ * Add a custom column before Done
+ * @param {Object} list - Todo list (mutated)
+ * @param {string} name - Column name
+ * @param {Function} generateId - ID generator used by the calling window
+ * @returns {Object|null} The new column, or null if the name is empty
+ */
+export function addColumn(list, name, generateId) {
+    const columnName = normalizeColumnName(name);
+    if (!columnName) return null;
+
+    const columns = getListColumns(list);
+    const column = { id: generateId(), name: columnName, color: null, wipLimit: null };
+    const doneIndex = columns.findIndex(other => other.id === 'done');
+    columns.splice(doneIndex, 0, column);
+    list.columns = columns;
+    return column;
+}
+
+/**
+ * Update a column's name, colour or WIP limit
+ * @param {Object} list - Todo list (mutated)
+ * @param {string} columnId - Column ID
+ * @param {Object} changes - { name?, color?, wipLimit? } (wipLimit 0 or null removes the limit)
+ * @returns {boolean} False if the column does not exist or the new name is empty
+ */
+export function updateColumn(list, columnId, changes) {
+    const columns = getListColumns(list);
+    const column = columns.find(other => other.id === columnId);
+    if (!column) return false;
+
+    if (changes.name !== undefined) {
+        const columnName = normalizeColumnName(changes.name);
+        if (!columnName) return false;
+        column.name = columnName;
+    }
+    if (changes.color !== undefined) {
+        column.color = changes.color || null;
+    }
+    if (changes.wipLimit !== undefined) {
+        const limit = parseInt(changes.wipLimit, 10);
+        column.wipLimit = Number.isInteger(limit) && limit > 0 ? limit : null;
+    }
+
+    list.columns = columns;
+    return true;
+}
+
+/**
+ * Move a column left or right
+ * @param {Object} list - Todo list (mutated)
+ * @param {string} columnId - Column ID
+ * @param {number} offset - -1 to move left, 1 to move right
+ * @returns {boolean} False if the column cannot move that way
+ */
+export function moveColumn(list, columnId, offset) {
+    const columns = getListColumns(list);
+    const index = columns.findIndex(column => column.id === columnId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= columns.length) return false;
+
+    const [column] = columns.splice(index, 1);
+    columns.splice(target, 0, column);
+    list.columns = columns;
+    return true;
+}
+
+/**
+ * Remove a custom column, moving its items to the end of To Do
+ * @param {Object} list - Todo list (mutated)
+ * @param {string} columnId - Column ID
+ * @returns {number} Number of items moved, or -1 if the column cannot be removed
+ */
+export function removeColumn(list, columnId) {
+    if (isBuiltInColumn(columnId)) return -1;
+
+    const columns = getListColumns(list);
+    if (!columns.some(column => column.id === columnId)) return -1;
+    list.columns = columns.filter(column => column.id !== columnId);
+
+    const items = Object.values(list.items || {});
+    let position = items.filter(item => item.status === 'todo').length;
+    const moved = items
+        .filter(item => item.status === columnId)
+        .sort((a, b) => (a.position || 0) - (b.position || 0));
+    moved.forEach(item => {
+        item.status = 'todo';
+        item.position = position++;
+    });
+    return moved.length;
+}
+
+/**
+ * Item count against a column's WIP limit
+ * @param {Object} list - Todo list
+ * @param {Object} column - Column
+ * @returns {Object} { count, limit, exceeded, full }
+ */
+export function getWipState(list, column) {
+    const count = Object.values(list.items || {})
+        .filter(item => getItemColumnId(list, item) === column.id).length;
+    const limit = column.wipLimit || null;
+    return {
+        count,
+        limit,
+        exceeded: limit !== null && count > limit,
+        full: limit !== null && count >= limit
+    };
+}
+
+function normalizeColumnName(name) {
+    return (name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_COLUMN_NAME_LENGTH);
+}
@@ -0,0 +1,212 @@
+/**
+ * Todo Dependencies Module
+ * "Blocks / blocked by" links between todo items, stored in each item's linkedItems array
+ * Usage: import { linkItems, isItemBlocked } from './todo-dependencies.js';
+ *
+ * Links are stored on both ends so either item can be rendered on its own:
+ *   blocker.linkedItems -> { type: 'blocks',    listId, itemId } (the blocked item)
+ *   blocked.linkedItems -> { type: 'blockedBy', listId, itemId } (the blocker)
+ */
+
+export const LINK_TYPES = {
+    blocks: 'blocks',
+    blockedBy: 'blockedBy'
+};
+
+const OPPOSITE_LINK = {
+    blocks: 'blockedBy',
+    blockedBy: 'blocks'
+};
+
+/**
+ * Find an item anywhere in the lists map
+ * @param {Object} lists - Lists map as stored in ucanduit-todos.json
+ * @param {string} itemId - Item ID
+ * @returns {Object|null} { list, item } or null if not found
+ */
+export function findItem(lists, itemId) {
+    for (const list of Object.values(lists)) {
+        if (list.items && list.items[itemId]) {
+            return { list, item: list.items[itemId] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve a stored link to its target item, tolerating links whose list moved
+ * @param {Object} lists - Lists map
+ * @param {Object} link - Link entry from linkedItems
+ * @returns {Object|null} { list, item } or null if the target no longer exists
+ */
+export function resolveLink(lists, link) {
+    const list = lists[link.listId];
+    if (list && list.items && list.items[link.itemId]) {
+        return { list, item: list.items[link.itemId] };
+    }
+    return findItem(lists, link.itemId);
+}
+
+/**
+ * Get the items blocking the given item
+ * @param {Object} lists - Lists map
+ * @param {Object} item - Item to inspect
+ * @param {boolean} [openOnly=true] - Only return blockers that are not done
+ * @returns {Array<Object>} Array of { list, item }
+ */
+export function getBlockers(lists, item, openOnly = true) {
+    return getLinked(lists, item, LINK_TYPES.blockedBy)
+        .filter(({ item: blocker }) => !openOnly || blocker.status !== 'done');
+}
+
+/**
+ * Get the items the given item is blocking
+ * @param {Object} lists - Lists map
+ * @param {Object} item - Item to inspect
+ * @returns {Array<Object>} Array of { list, item }
+ */
+export function getBlocked(lists, item) {
+    return getLinked(lists, item, LINK_TYPES.blocks);
+}
+
+function getLinked(lists, item, type) {
+    return (item.linkedItems || [])
+        .filter(link => link && link.type === type)
+        .map(link => resolveLink(lists, link))
+        .filter(Boolean);
+}
+
+/**
+ * Check whether an item has any unfinished blockers
+ * @param {Object} lists - Lists map
+ * @param {Object} item - Item to inspect
+ * @returns {boolean} True if the item is blocked
+ */
+export function isItemBlocked(lists, item) {
+    return getBlockers(lists, item).length > 0;
+}
+
+/**
+ * Check whether making blockerId block blockedId would create a cycle
+ * @param {Object} lists - Lists map
+ * @param {string} blockerId - Item that would block
+ * @param {string} blockedId - Item that would be blocked
+ * @returns {boolean} True if blockerId is already (transitively) blocked by blockedId
+ */
+export function wouldCreateCycle(lists, blockerId, blockedId) {
+    if (blockerId === blockedId) return true;
+
+    const visited = new Set();
+    const stack = [blockerId];
+
+    while (stack.length > 0) {
+        const currentId = stack.pop();
+        if (currentId === blockedId) return true;
+        if (visited.has(currentId)) continue;
+        visited.add(currentId);
+
+        const found = findItem(lists, currentId);
+        if (!found) continue;
+
+        (found.item.linkedItems || [])
+            .filter(link => link && link.type === LINK_TYPES.blockedBy)
+            .forEach(link => stack.push(link.itemId));
+    }
+
+    return false;
+}
+
+/**
+ * Record that blockerId blocks blockedId, on both items
+ * @param {Object} lists - Lists map
+ * @param {string} blockerId - Item that blocks
+ * @param {string} blockedId - Item that is blocked
+ * @returns {boolean} True if the link was added
+ */
+export function linkItems(lists, blockerId, blockedId) {
+    const blocker = findItem(lists, blockerId);
+    const blocked = findItem(lists, blockedId);
+
+    if (!blocker || !blocked) return false;
+    if (wouldCreateCycle(lists, blockerId, blockedId)) return false;
+
+    addLink(blocker.item, { type: LINK_TYPES.blocks, listId: blocked.list.id, itemId: blockedId });
+    addLink(blocked.item, { type: LINK_TYPES.blockedBy, listId: blocker.list.id, itemId: blockerId });
+    return true;
+}
+
+/**
+ * Remove a link (and its mirror) between two items
+ * @param {Object} lists - Lists map
+ * @param {string} itemId - Item owning the link
+ * @param {Object} link - Link entry to remove
+ */
+export function unlinkItems(lists, itemId, link) {
+    const owner = findItem(lists, itemId);
+    const target = resolveLink(lists, link);
+
+    if (owner) {
+        removeLink(owner.item, link.type, link.itemId);
+    }
+    if (target) {
+        removeLink(target.item, OPPOSITE_LINK[link.type], itemId);
+    }
+}
+
+/**
+ * Remove every link pointing at an item, e.g. before it is deleted
+ * @param {Object} lists - Lists map
+ * @param {Object} item - Item being removed
+ */
+export function removeItemLinks(lists, item) {
+    (item.linkedItems || []).forEach(link => {
+        const target = resolveLink(lists, link);
+        if (target) {
+            removeLink(target.item, OPPOSITE_LINK[link.type], item.id);
+        }
+    });
+    item.linkedItems = [];
+}
+
+/**
+ * Drop links whose target item no longer exists
+ * @param {Object} lists - Lists map
+ * @returns {boolean} True if anything was removed
+ */
+export function pruneDanglingLinks(lists) {
+    let changed = false;
+    Object.values(lists).forEach(list => {
+        Object.values(list.items || {}).forEach(item => {
+            if (!Array.isArray(item.linkedItems)) {
+                item.linkedItems = [];
+                changed = true;
+                return;
+            }
+            const kept = item.linkedItems.filter(link => link && link.itemId && resolveLink(lists, link));
+            if (kept.length !== item.linkedItems.length) {
+                item.linkedItems = kept;
+                changed = true;
+            }
+        });
+    });
+    return changed;
+}
+
+function addLink(item, link) {
+    if (!Array.isArray(item.linkedItems)) {
+        item.linkedItems = [];
+    }
+    const exists = item.linkedItems.some(existing =>
+        existing && existing.type === link.type && existing.itemId === link.itemId
+    );
+    if (!exists) {
+        item.linkedItems.push(link);
+    }
+}
+
+function removeLink(item, type, itemId) {
+    if (!Array.isArray(item.linkedItems)) return;
+    item.linkedItems = item.linkedItems.filter(link =>
+        !(link && link.type === type && link.itemId === itemId)
+    );
+}
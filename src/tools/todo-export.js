@@ -0,0 +1,267 @@
+/**
+ * Todo Export Module
+ * Writes lists as Markdown checklists, todo.txt, CSV, JSON or iCalendar
+ * Usage: import { exportTodos, getExportFilename, saveExportFile } from './todo-export.js';
+ *
+ * Markdown and todo.txt output reads back through todo-import.js. JSON uses the
+ * ucanduit-todos.json layout (lists by ID plus the tags they use) so it can be restored
+ * by hand. iCalendar only carries items with a due date, as VTODO entries.
+ */
+
+import { getListColumns, getColumnName, getItemColumnId, getItemStage } from './todo-columns.js';
+import { getItemTags } from './todo-tags.js';
+import { TAG_REGISTRY_KEY } from './todo-sync.js';
+import { toDateKey } from './todo-recurrence.js';
+
+export const EXPORT_FORMATS = {
+    markdown: { name: 'Markdown checklist', extension: 'md', mimeType: 'text/markdown' },
+    todotxt: { name: 'todo.txt', extension: 'txt', mimeType: 'text/plain' },
+    csv: { name: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    json: { name: 'JSON', extension: 'json', mimeType: 'application/json' },
+    ics: { name: 'iCalendar (items with due dates)', extension: 'ics', mimeType: 'text/calendar' }
+};
+
+const TODOTXT_PRIORITIES = { high: 'A', medium: 'B', low: 'C' };
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+const ICS_STATUSES = { todo: 'NEEDS-ACTION', inprogress: 'IN-PROCESS', done: 'COMPLETED' };
+const CSV_HEADER = ['List', 'Title', 'Status', 'Priority', 'Due', 'Due Time', 'Tags', 'Estimate', 'Time Spent', 'Created', 'Completed'];
+
+/**
+ * Serialise lists in an export format
+ * @param {Array<Object>} lists - Lists to export, in output order
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} [tags] - Tag registry
+ * @param {Date} [now] - Export time (iCalendar timestamps)
+ * @returns {string} File contents
+ */
+export function exportTodos(lists, format, tags = {}, now = new Date()) {
+    switch (format) {
+        case 'todotxt':
+            return exportTodoTxt(lists, tags);
+        case 'csv':
+            return exportCsv(lists, tags);
+        case 'json':
+            return exportJson(lists, tags);
+        case 'ics':
+            return exportIcs(lists, tags, now);
+        case 'markdown':
+        default:
+            return exportMarkdown(lists);
+    }
+}
+
+/**
+ * Number of items an export will contain (iCalendar skips items without a due date)
+ * @param {Array<Object>} lists - Lists to export
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {number} Item count
+ */
+export function countExportItems(lists, format) {
+    return lists.reduce((count, list) => count + getExportItems(list)
+        .filter(item => format !== 'ics' || item.dueDate).length, 0);
+}
+
+/**
+ * Suggested file name: the list name for a single list, otherwise a dated name
+ * @param {Array<Object>} lists - Lists to export
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Date} [now] - Export date
+ * @returns {string} File name with extension
+ */
+export function getExportFilename(lists, format, now = new Date()) {
+    const slug = lists.length === 1 ? slugify(lists[0].name) : '';
+    return `${slug || `ucanduit-todos-${toDateKey(now)}`}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Write an export file: into the app data "exports" folder under Tauri, as a download otherwise
+ * @param {string} filename - File name from getExportFilename
+ * @param {string} contents - File contents
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Promise<string>} Where the file was written
+ */
+export async function saveExportFile(filename, contents, format) {
+    if (window.__TAURI__ && window.__TAURI__.core) {
+        return await window.__TAURI__.core.invoke('write_export_file', { filename, contents });
+    }
+
+    const blob = new Blob([contents], { type: EXPORT_FORMATS[format].mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return `Downloads/${filename}`;
+}
+
+/**
+ * Copy text with the clipboard plugin, falling back to the browser clipboard
+ * @param {string} text - Text to copy
+ */
+export async function copyToClipboard(text) {
+    if (window.__TAURI__ && window.__TAURI__.clipboardManager) {
+        await window.__TAURI__.clipboardManager.writeText(text);
+        return;
+    }
+    await navigator.clipboard.writeText(text);
+}
+
+// Items in board order: by column, then position within the column
+function getExportItems(list) {
+    const columnIds = getListColumns(list).map(column => column.id);
+    return Object.values(list.items || {}).sort((a, b) =>
+        columnIds.indexOf(getItemColumnId(list, a)) - columnIds.indexOf(getItemColumnId(list, b)) ||
+        (a.position || 0) - (b.position || 0)
+    );
+}
+
+function exportMarkdown(lists) {
+    return lists.map(list => {
+        const lines = [`# ${list.name}`, ''];
+        getExportItems(list).forEach(item => {
+            lines.push(`- [${item.status === 'done' ? 'x' : ' '}] ${item.text}`);
+            (item.subtasks || []).forEach(subtask => {
+                lines.push(`  - [${subtask.done ? 'x' : ' '}] ${subtask.text}`);
+            });
+        });
+        return lines.join('\n');
+    }).join('\n\n') + '\n';
+}
+
+function exportTodoTxt(lists, tags) {
+    const lines = [];
+    lists.forEach(list => {
+        getExportItems(list).forEach(item => {
+            const parts = [];
+            const priority = TODOTXT_PRIORITIES[item.priority];
+            if (item.status === 'done') {
+                parts.push('x');
+                if (item.completedAt) parts.push(toDateKey(new Date(item.completedAt)));
+            } else if (priority) {
+                parts.push(`(${priority})`);
+            }
+            // todo.txt only allows a creation date after a completion date
+            if (item.createdAt && (item.status !== 'done' || item.completedAt)) {
+                parts.push(toDateKey(new Date(item.createdAt)));
+            }
+            parts.push(item.text.replace(/\s+/g, ' '));
+            parts.push(`+${toTodoTxtWord(list.name)}`);
+            getItemTags(item, tags).forEach(tag => parts.push(`@${toTodoTxtWord(tag.name)}`));
+            if (item.dueDate) parts.push(`due:${item.dueDate}`);
+            if (item.status === 'done' && priority) parts.push(`pri:${priority}`);
+            lines.push(parts.join(' '));
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+function exportCsv(lists, tags) {
+    const rows = [CSV_HEADER];
+    lists.forEach(list => {
+        getExportItems(list).forEach(item => {
+            rows.push([
+                list.name,
+                item.text,
+                getColumnName(list, item.status),
+                item.priority || '',
+                item.dueDate || '',
+                item.dueTime || '',
+                getItemTags(item, tags).map(tag => tag.name).join('; '),
+                item.estimate || '',
+                item.timeSpent || '',
+                item.createdAt ? new Date(item.createdAt).toISOString() : '',
+                item.completedAt ? new Date(item.completedAt).toISOString() : ''
+            ]);
+        });
+    });
+    return rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function exportJson(lists, tags) {
+    const data = {};
+    const usedTags = {};
+    lists.forEach(list => {
+        data[list.id] = list;
+        Object.values(list.items || {}).forEach(item => {
+            getItemTags(item, tags).forEach(tag => {
+                usedTags[tag.id] = tag;
+            });
+        });
+    });
+    data[TAG_REGISTRY_KEY] = usedTags;
+    return JSON.stringify(data, null, 2) + '\n';
+}
+
+function exportIcs(lists, tags, now) {
+    const stamp = toIcsTimestamp(now.getTime());
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//ucanduit//Todo Export//EN', 'CALSCALE:GREGORIAN'];
+
+    lists.forEach(list => {
+        getExportItems(list).filter(item => item.dueDate).forEach(item => {
+            const date = item.dueDate.replace(/-/g, '');
+            const categories = [list.name, ...getItemTags(item, tags).map(tag => tag.name)];
+            lines.push('BEGIN:VTODO');
+            lines.push(`UID:${item.id}@ucanduit`);
+            lines.push(`DTSTAMP:${stamp}`);
+            if (item.createdAt) lines.push(`CREATED:${toIcsTimestamp(item.createdAt)}`);
+            lines.push(`SUMMARY:${escapeIcsText(item.text)}`);
+            // Without a time the due date is an all-day value; with one it is floating local time
+            lines.push(item.dueTime ? `DUE:${date}T${item.dueTime.replace(':', '')}00` : `DUE;VALUE=DATE:${date}`);
+            lines.push(`STATUS:${ICS_STATUSES[getItemStage(list, item)]}`);
+            if (item.status === 'done' && item.completedAt) lines.push(`COMPLETED:${toIcsTimestamp(item.completedAt)}`);
+            if (ICS_PRIORITIES[item.priority]) lines.push(`PRIORITY:${ICS_PRIORITIES[item.priority]}`);
+            lines.push(`CATEGORIES:${categories.map(escapeIcsText).join(',')}`);
+            if ((item.subtasks || []).length > 0) {
+                const steps = item.subtasks.map(subtask => `[${subtask.done ? 'x' : ' '}] ${subtask.text}`).join('\n');
+                lines.push(`DESCRIPTION:${escapeIcsText(steps)}`);
+            }
+            lines.push('END:VTODO');
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function toTodoTxtWord(name) {
+    return name.trim().replace(/\s+/g, '_');
+}
+
+function toCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toIcsTimestamp(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+    return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 lines are folded at 75 octets; continuation lines start with a space
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+}
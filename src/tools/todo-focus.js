@@ -0,0 +1,107 @@
+/**
+ * Todo Focus Module
+ * Links timer focus sessions to todo items
+ * Usage: import { requestItemFocus, listenForFocusRequests, addTimeSpent } from './todo-focus.js';
+ *
+ * Any window can ask the timer in the main window to start a session on an item; the
+ * request travels like todo sync patches (Tauri event, or the localStorage "storage"
+ * event in browser mode). Completed sessions reference the item in
+ * ucanduit-timer-sessions.json and add their minutes to item.timeSpent, next to the
+ * optional item.estimate (both in minutes).
+ */
+
+import { formatEstimate } from './todo-quick-add.js';
+
+export const FOCUS_REQUEST_EVENT = 'todo-focus-requested';
+const STORAGE_CHANNEL_KEY = 'ucanduit-todo-focus-request';
+
+/**
+ * Ask the timer to start a focus session on an item
+ * @param {Object} target - { listId, itemId, text }
+ */
+export async function requestItemFocus(target) {
+    const message = { timestamp: Date.now(), target };
+
+    try {
+        if (window.__TAURI__ && window.__TAURI__.event) {
+            await window.__TAURI__.event.emit(FOCUS_REQUEST_EVENT, message);
+            return;
+        }
+    } catch (error) {
+        console.warn('⚠️ Failed to emit focus request, using storage fallback:', error);
+    }
+
+    try {
+        localStorage.setItem(STORAGE_CHANNEL_KEY, JSON.stringify(message));
+    } catch (error) {
+        console.error('❌ Failed to send focus request:', error);
+    }
+}
+
+/**
+ * Listen for focus requests from other windows
+ * @param {Function} onRequest - Called with (target)
+ * @returns {Promise<Function>} Stops listening
+ */
+export async function listenForFocusRequests(onRequest) {
+    if (window.__TAURI__ && window.__TAURI__.event) {
+        try {
+            const { listen } = window.__TAURI__.event;
+            const unlisten = await listen(FOCUS_REQUEST_EVENT, (event) => {
+                if (event.payload && event.payload.target) {
+                    onRequest(event.payload.target);
+                }
+            });
+            return unlisten;
+        } catch (error) {
+            console.warn('⚠️ Tauri events unavailable for focus requests, using storage events:', error);
+        }
+    }
+
+    const storageHandler = (event) => {
+        if (event.key !== STORAGE_CHANNEL_KEY || !event.newValue) return;
+        try {
+            const message = JSON.parse(event.newValue);
+            if (message.target) {
+                onRequest(message.target);
+            }
+        } catch (error) {
+            console.error('Error processing focus request:', error);
+        }
+    };
+    window.addEventListener('storage', storageHandler);
+    return () => window.removeEventListener('storage', storageHandler);
+}
+
+/**
+ * Add the minutes of a completed focus session to an item
+ * @param {Object} item - Todo item (mutated)
+ * @param {number} minutes - Session length
+ * @returns {number} Total minutes spent on the item
+ */
+export function addTimeSpent(item, minutes) {
+    item.timeSpent = (item.timeSpent || 0) + Math.max(0, Math.round(minutes));
+    return item.timeSpent;
+}
+
+/**
+ * Time spent on an item against its estimate
+ * @param {Object} item - Todo item
+ * @returns {Object} { spent, estimate, over } (minutes; estimate is null without one)
+ */
+export function getTimeTracking(item) {
+    const spent = item.timeSpent || 0;
+    const estimate = item.estimate || null;
+    return { spent, estimate, over: estimate !== null && spent > estimate };
+}
+
+/**
+ * Format time spent against the estimate
+ * @param {Object} item - Todo item
+ * @returns {string} e.g. "50m / 1h", "~1h" before any session, or '' with neither
+ */
+export function formatTimeTracking(item) {
+    const { spent, estimate } = getTimeTracking(item);
+    if (!spent) return estimate ? `~${formatEstimate(estimate)}` : '';
+    return estimate ? `${formatEstimate(spent)} / ${formatEstimate(estimate)}` : formatEstimate(spent);
+}
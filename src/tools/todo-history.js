@@ -0,0 +1,276 @@
+/**
+ * Todo History Module
+ * Undo/redo stack for todo edits, shared by the todo tool and the kanban windows
+ * Usage: import { TodoHistory, getHistoryShortcut } from './todo-history.js';
+ *
+ * Each command stores a forward and an inverse patch (see todo-sync.js) built from the
+ * window's last persisted snapshot, so undoing only touches the lists and items the
+ * command changed; changes to the tag registry travel in the patches' tags section.
+ * Commands may carry onUndo/onRedo hooks for trash entries, which live
+ * outside ucanduit-todos.json: { untrash: 'lists'|'items', id } or
+ * { trash: 'lists'|'items', list, item }.
+ *
+ * Commands are plain data, so every window can hold the same stack: recording, undoing
+ * and redoing are announced like todo sync patches (Tauri event, or the localStorage
+ * "storage" event in browser mode) and the other windows replay them on their copy.
+ * The data change itself reaches them through the undoing window's save. A window that
+ * opens later asks the others for their stack.
+ */
+
+import { diffTodoLists, diffTagRegistry, applyTodoPatch, applyTagPatch } from './todo-sync.js';
+import { trashList, trashItem, deleteFromTrash } from './todo-archive.js';
+
+export const HISTORY_SYNC_EVENT = 'todo-history-changed';
+const STORAGE_CHANNEL_KEY = 'ucanduit-todo-history-sync';
+
+/**
+ * Map a keydown event to a history action
+ * Text fields are left alone so they keep their native undo.
+ * @param {KeyboardEvent} event - Keydown event
+ * @returns {string|null} 'undo', 'redo', or null
+ */
+export function getHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return null;
+
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+        return null;
+    }
+
+    const key = event.key.toLowerCase();
+    if (key === 'z') return event.shiftKey ? 'redo' : 'undo';
+    if (key === 'y' && !event.shiftKey) return 'redo';
+    return null;
+}
+
+export class TodoHistory {
+    /**
+     * @param {number} [limit=50] - Maximum number of commands kept
+     */
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.sourceId = `${Date.now().toString(36)}${Math.random().toString(36).substr(2)}`;
+        this.recorded = 0;
+        this.unlisten = null;
+        this.storageHandler = null;
+    }
+
+    /**
+     * Record the change from `base` to `lists` as one command
+     * Call before the change is saved, while `base` still holds the persisted state.
+     * @param {string} label - Description, e.g. 'Delete list "Groceries"'
+     * @param {Object} base - Lists map before the change
+     * @param {Object} lists - Lists map after the change
+     * @param {Object} [hooks] - Optional onUndo/onRedo trash hooks (copied, see above)
+     * @param {Object} [baseTags] - Tag registry before the change
+     * @param {Object} [tags] - Tag registry after the change; omit to leave tags out
+     * @returns {Object|null} The command, or null if nothing changed
+     */
+    record(label, base, lists, hooks = {}, baseTags = {}, tags = null) {
+        let redo = diffTodoLists(base, lists);
+        let undo = redo ? diffTodoLists(lists, base) : null;
+
+        const tagPatch = tags ? diffTagRegistry(baseTags, tags) : null;
+        if (tagPatch) {
+            redo = redo || { lists: {}, items: {} };
+            undo = undo || { lists: {}, items: {} };
+            redo.tags = tagPatch;
+            undo.tags = diffTagRegistry(tags, baseTags);
+        }
+        if (!redo) return null;
+
+        const command = {
+            id: `${this.sourceId}-${++this.recorded}`,
+            label,
+            redo,
+            undo,
+            onUndo: hooks.onUndo ? clone(hooks.onUndo) : null,
+            onRedo: hooks.onRedo ? clone(hooks.onRedo) : null
+        };
+
+        this.push(command);
+        this.publish({ action: 'record', command });
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Revert the most recent command (the caller re-renders and saves)
+     * @param {Object} lists - Lists map (mutated)
+     * @param {Object} [tags] - Tag registry (mutated)
+     * @returns {Promise<Object|null>} The reverted command, or null if there is nothing to undo
+     */
+    async undo(lists, tags = null) {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        applyTodoPatch(lists, command.undo);
+        if (tags) applyTagPatch(tags, command.undo.tags);
+        await runHook(command.onUndo);
+        this.redoStack.push(command);
+        this.publish({ action: 'undo', id: command.id });
+        return command;
+    }
+
+    /**
+     * Re-apply the most recently undone command (the caller re-renders and saves)
+     * @param {Object} lists - Lists map (mutated)
+     * @param {Object} [tags] - Tag registry (mutated)
+     * @returns {Promise<Object|null>} The re-applied command, or null if there is nothing to redo
+     */
+    async redo(lists, tags = null) {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        applyTodoPatch(lists, command.redo);
+        if (tags) applyTagPatch(tags, command.redo.tags);
+        await runHook(command.onRedo);
+        this.undoStack.push(command);
+        this.publish({ action: 'redo', id: command.id });
+        return command;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.publish({ action: 'clear' });
+    }
+
+    /**
+     * Start following the stack shared by the other windows
+     */
+    async start() {
+        if (window.__TAURI__ && window.__TAURI__.event) {
+            try {
+                const { listen } = window.__TAURI__.event;
+                this.unlisten = await listen(HISTORY_SYNC_EVENT, (event) => this.receive(event.payload));
+                await this.publish({ action: 'request' });
+                return;
+            } catch (error) {
+                console.warn('⚠️ Tauri events unavailable for undo history, using storage events:', error);
+            }
+        }
+
+        // Browser fallback - the storage event fires in every other same-origin window
+        this.storageHandler = (event) => {
+            if (event.key !== STORAGE_CHANNEL_KEY || !event.newValue) return;
+            try {
+                this.receive(JSON.parse(event.newValue));
+            } catch (error) {
+                console.error('Error processing undo history message:', error);
+            }
+        };
+        window.addEventListener('storage', this.storageHandler);
+        await this.publish({ action: 'request' });
+    }
+
+    /**
+     * Stop following the shared stack
+     */
+    stop() {
+        if (this.unlisten) {
+            this.unlisten();
+            this.unlisten = null;
+        }
+        if (this.storageHandler) {
+            window.removeEventListener('storage', this.storageHandler);
+            this.storageHandler = null;
+        }
+    }
+
+    async publish(message) {
+        const payload = { ...message, sourceId: this.sourceId, timestamp: Date.now() };
+
+        try {
+            if (window.__TAURI__ && window.__TAURI__.event) {
+                await window.__TAURI__.event.emit(HISTORY_SYNC_EVENT, payload);
+                return;
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to emit undo history event, using storage fallback:', error);
+        }
+
+        try {
+            localStorage.setItem(STORAGE_CHANNEL_KEY, JSON.stringify(payload));
+        } catch (error) {
+            console.error('❌ Failed to share undo history:', error);
+        }
+    }
+
+    // Replay another window's stack change on this copy (data changes arrive as sync patches)
+    receive(message) {
+        // Tauri delivers our own events back to us
+        if (!message || message.sourceId === this.sourceId) return;
+
+        switch (message.action) {
+            case 'record':
+                this.push(message.command);
+                break;
+            case 'undo':
+                moveCommand(this.undoStack, this.redoStack, message.id);
+                break;
+            case 'redo':
+                moveCommand(this.redoStack, this.undoStack, message.id);
+                break;
+            case 'clear':
+                this.undoStack = [];
+                this.redoStack = [];
+                break;
+            case 'request':
+                if (this.canUndo() || this.canRedo()) {
+                    this.publish({ action: 'snapshot', undoStack: this.undoStack, redoStack: this.redoStack });
+                }
+                break;
+            case 'snapshot':
+                // Only a window without history of its own adopts another's stack
+                if (!this.canUndo() && !this.canRedo()) {
+                    this.undoStack = message.undoStack || [];
+                    this.redoStack = message.redoStack || [];
+                }
+                break;
+        }
+    }
+
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+}
+
+function moveCommand(from, to, id) {
+    const index = from.findIndex(command => command.id === id);
+    if (index === -1) return;
+    to.push(...from.splice(index, 1));
+}
+
+// Side effects are best-effort; the todo data itself has already been reverted
+async function runHook(hook) {
+    if (!hook) return;
+    try {
+        if (hook.untrash) {
+            await deleteFromTrash(hook.untrash, hook.id);
+        } else if (hook.trash === 'lists') {
+            await trashList(hook.list);
+        } else if (hook.trash === 'items') {
+            await trashItem(hook.list, hook.item);
+        }
+    } catch (error) {
+        console.warn('⚠️ Todo history side effect failed:', error);
+    }
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
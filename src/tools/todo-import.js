@@ -0,0 +1,446 @@
+/**
+ * Todo Import Module
+ * Parses Markdown checklists, todo.txt and CSV into lists and items for ucanduit-todos.json
+ * Usage: import { parseImport, planImport, applyImport } from './todo-import.js';
+ *
+ * Importing is three steps so the caller can show a preview in between:
+ *   parseImport(text, format)   -> { format, lists: [{ name, items: [entry] }] }
+ *   planImport(parsed, lists)   -> matches lists by name and flags duplicate items
+ *   applyImport(plan, ...)      -> creates the lists and the items left included
+ * Entries: { text, status, priority, dueDate, estimate, tags: [names], subtasks: [{ text, done }] }
+ *
+ * Markdown: "- [ ]" / "- [x]" checklist lines; headings start a new list and indented
+ * checklist lines become steps of the item above. todo.txt: "x" done marker, (A)-(C)
+ * priorities, +project as the list, @context as tags, due:YYYY-MM-DD. CSV: a header row
+ * naming the columns (text/title/task, list, status, priority, due, tags, estimate).
+ */
+
+import { createSubtask } from './todo-subtasks.js';
+import { createTag } from './todo-tags.js';
+import { parseDateKey, toDateKey } from './todo-recurrence.js';
+import { parseEstimate } from './todo-quick-add.js';
+
+export const IMPORT_FORMATS = {
+    markdown: 'Markdown checklist',
+    todotxt: 'todo.txt',
+    csv: 'CSV'
+};
+
+export const DEFAULT_IMPORT_LIST_NAME = 'Imported';
+
+const CHECKLIST_PATTERN = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/;
+const HEADING_PATTERN = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+const TODOTXT_PRIORITIES = { A: 'high', B: 'medium', C: 'low' };
+const PRIORITY_WORDS = {
+    high: 'high', h: 'high', a: 'high', 1: 'high', urgent: 'high',
+    medium: 'medium', med: 'medium', m: 'medium', b: 'medium', 2: 'medium', normal: 'medium',
+    low: 'low', l: 'low', c: 'low', 3: 'low'
+};
+const DONE_WORDS = ['done', 'x', 'yes', 'y', 'true', '1', 'complete', 'completed', 'closed'];
+const IN_PROGRESS_WORDS = ['inprogress', 'in progress', 'in-progress', 'doing', 'started', 'wip'];
+const CSV_COLUMNS = {
+    text: ['text', 'title', 'task', 'item', 'name', 'summary', 'description'],
+    list: ['list', 'project', 'board', 'category'],
+    status: ['status', 'state', 'done', 'completed', 'complete'],
+    priority: ['priority', 'prio'],
+    dueDate: ['due', 'due date', 'duedate', 'due_date', 'deadline'],
+    tags: ['tags', 'tag', 'labels', 'label', 'contexts'],
+    estimate: ['estimate', 'estimated', 'time estimate']
+};
+
+/**
+ * Guess the format of an import from its file name and contents
+ * @param {string} text - File contents
+ * @param {string} [filename] - File name, if the text came from a file
+ * @returns {string} Key of IMPORT_FORMATS
+ */
+export function detectImportFormat(text, filename = '') {
+    const extension = filename.toLowerCase().split('.').pop();
+    if (['md', 'markdown'].includes(extension)) return 'markdown';
+    if (extension === 'csv' || extension === 'tsv') return 'csv';
+
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.some(line => CHECKLIST_PATTERN.test(line))) return 'markdown';
+    if (extension !== 'txt' && lines.length > 1 && findCsvColumn(splitCsvRow(lines[0], detectDelimiter(lines[0])), 'text') !== -1) {
+        return 'csv';
+    }
+    return 'todotxt';
+}
+
+/**
+ * Parse import text into lists of item entries
+ * @param {string} text - File contents
+ * @param {string} format - Key of IMPORT_FORMATS
+ * @param {string} [defaultListName] - List for items that do not name one
+ * @returns {Object} { format, lists: [{ name, items }] } without empty lists
+ */
+export function parseImport(text, format, defaultListName = DEFAULT_IMPORT_LIST_NAME) {
+    const groups = new Map();
+    const addEntry = (listName, entry) => {
+        const name = (listName || '').trim() || defaultListName;
+        const key = normalizeText(name);
+        if (!groups.has(key)) {
+            groups.set(key, { name, items: [] });
+        }
+        groups.get(key).items.push(entry);
+    };
+
+    if (format === 'markdown') {
+        parseMarkdown(text, defaultListName, addEntry);
+    } else if (format === 'csv') {
+        parseCsv(text, addEntry);
+    } else {
+        parseTodoTxt(text, addEntry);
+    }
+
+    return { format, lists: [...groups.values()].filter(list => list.items.length > 0) };
+}
+
+/**
+ * Match parsed lists to existing lists by name and flag duplicate items
+ * An item is a duplicate when its list already has an item with the same text (ignoring
+ * case and spacing), or when it repeats an earlier item of the same import.
+ * @param {Object} parsed - Result of parseImport
+ * @param {Object} lists - Lists to match against (pass active lists only)
+ * @returns {Object} { format, lists: [{ name, listId, items: [{ ...entry, duplicate, include }] }] }
+ */
+export function planImport(parsed, lists) {
+    const existingByName = {};
+    Object.values(lists).forEach(list => {
+        existingByName[normalizeText(list.name)] = existingByName[normalizeText(list.name)] || list;
+    });
+
+    return {
+        format: parsed.format,
+        lists: parsed.lists.map(group => {
+            const existing = existingByName[normalizeText(group.name)] || null;
+            const seen = new Set(existing ? Object.values(existing.items || {}).map(item => normalizeText(item.text)) : []);
+
+            return {
+                name: existing ? existing.name : group.name,
+                listId: existing ? existing.id : null,
+                items: group.items.map(entry => {
+                    const key = normalizeText(entry.text);
+                    const duplicate = seen.has(key);
+                    seen.add(key);
+                    return { ...entry, duplicate, include: !duplicate };
+                })
+            };
+        })
+    };
+}
+
+/**
+ * Count what applying a plan would do
+ * @param {Object} plan - Result of planImport
+ * @returns {Object} { newLists, items, duplicates, skipped }
+ */
+export function getImportSummary(plan) {
+    const summary = { newLists: 0, items: 0, duplicates: 0, skipped: 0 };
+    plan.lists.forEach(list => {
+        const included = list.items.filter(entry => entry.include).length;
+        if (!list.listId && included > 0) summary.newLists++;
+        summary.items += included;
+        summary.skipped += list.items.length - included;
+        summary.duplicates += list.items.filter(entry => entry.duplicate).length;
+    });
+    return summary;
+}
+
+/**
+ * Create the lists and included items of a plan
+ * @param {Object} plan - Result of planImport
+ * @param {Object} lists - Lists map (mutated)
+ * @param {Object} tags - Tag registry (mutated; tags are matched or created by name)
+ * @param {Function} generateId - ID generator used by the calling window
+ * @returns {Object} { listsCreated, itemsAdded }
+ */
+export function applyImport(plan, lists, tags, generateId) {
+    const result = { listsCreated: 0, itemsAdded: 0 };
+    const now = Date.now();
+
+    plan.lists.forEach(planned => {
+        const entries = planned.items.filter(entry => entry.include);
+        if (entries.length === 0) return;
+
+        let list = planned.listId && lists[planned.listId];
+        if (!list) {
+            const listId = generateId();
+            list = {
+                id: listId,
+                name: planned.name,
+                priority: 'medium',
+                dueDate: null,
+                position: Object.keys(lists).length,
+                items: {},
+                createdAt: now
+            };
+            lists[listId] = list;
+            result.listsCreated++;
+        }
+
+        entries.forEach(entry => {
+            const itemId = generateId();
+            list.items[itemId] = {
+                id: itemId,
+                text: entry.text,
+                status: entry.status,
+                priority: entry.priority || null,
+                dueDate: entry.dueDate || null,
+                dueTime: null,
+                estimate: entry.estimate || null,
+                position: Object.keys(list.items).length,
+                linkedItems: [],
+                subtasks: entry.subtasks.map(step => ({
+                    ...createSubtask(step.text),
+                    done: step.done,
+                    completedAt: step.done ? now : null
+                })),
+                completeWithSubtasks: false,
+                recurrence: null,
+                tags: entry.tags
+                    .map(name => createTag(tags, name, generateId))
+                    .filter(Boolean)
+                    .map(tag => tag.id),
+                createdAt: now,
+                completedAt: entry.status === 'done' ? now : null
+            };
+            result.itemsAdded++;
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Render a plan as a preview with an include checkbox per item
+ * Checkboxes carry data-list-index and data-item-index for toggling entries.
+ * @param {Object} plan - Result of planImport
+ * @returns {string} HTML
+ */
+export function renderImportPreview(plan) {
+    if (plan.lists.length === 0) {
+        return '<div class="import-preview-empty">Nothing to import. Check the format and the text.</div>';
+    }
+
+    return plan.lists.map((list, listIndex) => `
+        <div class="import-preview-list">
+            <div class="import-preview-list-name">
+                ${escapeHtml(list.name)}
+                <span class="import-preview-badge ${list.listId ? 'existing' : 'new'}">${list.listId ? 'Existing list' : 'New list'}</span>
+            </div>
+            ${list.items.map((entry, itemIndex) => `
+                <label class="import-preview-item ${entry.duplicate ? 'duplicate' : ''}">
+                    <input type="checkbox" data-list-index="${listIndex}" data-item-index="${itemIndex}" ${entry.include ? 'checked' : ''}>
+                    <span class="import-preview-text ${entry.status === 'done' ? 'done' : ''}">${escapeHtml(entry.text)}</span>
+                    ${describeEntry(entry)}
+                    ${entry.duplicate ? '<span class="import-preview-badge duplicate">Duplicate</span>' : ''}
+                </label>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+function describeEntry(entry) {
+    const details = [];
+    if (entry.priority) details.push(entry.priority);
+    if (entry.dueDate) details.push(`due ${entry.dueDate}`);
+    if (entry.tags.length > 0) details.push(entry.tags.map(tag => `#${tag}`).join(' '));
+    if (entry.subtasks.length > 0) details.push(`${entry.subtasks.length} step${entry.subtasks.length === 1 ? '' : 's'}`);
+    return details.length > 0 ? `<span class="import-preview-details">${escapeHtml(details.join(' · '))}</span>` : '';
+}
+
+function createEntry(text, fields = {}) {
+    return {
+        text: text.trim().replace(/\s+/g, ' '),
+        status: fields.status || 'todo',
+        priority: fields.priority || null,
+        dueDate: fields.dueDate || null,
+        estimate: fields.estimate || null,
+        tags: fields.tags || [],
+        subtasks: []
+    };
+}
+
+function parseMarkdown(text, defaultListName, addEntry) {
+    let listName = defaultListName;
+    let parent = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        const heading = HEADING_PATTERN.exec(line);
+        if (heading) {
+            listName = heading[1];
+            parent = null;
+            return;
+        }
+
+        const match = CHECKLIST_PATTERN.exec(line);
+        if (!match || !match[3].trim()) return;
+
+        const indent = match[1].replace(/\t/g, '    ').length;
+        const done = match[2] !== ' ';
+        if (parent && indent > parent.indent) {
+            parent.entry.subtasks.push({ text: match[3].trim(), done });
+            return;
+        }
+
+        const entry = createEntry(match[3], { status: done ? 'done' : 'todo' });
+        addEntry(listName, entry);
+        parent = { entry, indent };
+    });
+}
+
+function parseTodoTxt(text, addEntry) {
+    text.split(/\r?\n/).forEach(line => {
+        let rest = line.trim();
+        if (!rest) return;
+
+        const fields = { tags: [] };
+        if (/^x\s/.test(rest)) {
+            fields.status = 'done';
+            rest = rest.slice(2).trim();
+        }
+
+        const priority = /^\(([A-Z])\)\s+/.exec(rest);
+        if (priority) {
+            fields.priority = TODOTXT_PRIORITIES[priority[1]] || 'low';
+            rest = rest.slice(priority[0].length);
+        }
+
+        // Completion and creation dates
+        rest = rest.replace(/^(\d{4}-\d{2}-\d{2}\s+){1,2}/, '');
+
+        let listName = null;
+        const words = rest.split(/\s+/).filter(word => {
+            if (/^\+\S+$/.test(word)) {
+                // Only "_" stands for a space (the exporter's encoding); hyphens are part of the name
+                listName = listName || word.slice(1).replace(/_/g, ' ');
+                return false;
+            }
+            if (/^@\S+$/.test(word)) {
+                fields.tags.push(word.slice(1).replace(/_/g, ' '));
+                return false;
+            }
+            const due = /^due:(\d{4}-\d{2}-\d{2})$/i.exec(word);
+            if (due) {
+                fields.dueDate = due[1];
+                return false;
+            }
+            const pri = /^pri:([A-Z])$/.exec(word);
+            if (pri) {
+                fields.priority = fields.priority || TODOTXT_PRIORITIES[pri[1]] || 'low';
+                return false;
+            }
+            return true;
+        });
+
+        const itemText = words.join(' ');
+        if (itemText) {
+            addEntry(listName, createEntry(itemText, fields));
+        }
+    });
+}
+
+function parseCsv(text, addEntry) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const rows = parseCsvRows(text, detectDelimiter(firstLine));
+    if (rows.length < 2) return;
+
+    const header = rows[0];
+    const column = {};
+    Object.keys(CSV_COLUMNS).forEach(field => {
+        column[field] = findCsvColumn(header, field);
+    });
+    // Without a recognised text column the first column is the item text
+    if (column.text === -1) column.text = 0;
+
+    const cell = (row, field) => column[field] === -1 ? '' : (row[column[field]] || '').trim();
+
+    rows.slice(1).forEach(row => {
+        const itemText = cell(row, 'text');
+        if (!itemText) return;
+
+        addEntry(cell(row, 'list'), createEntry(itemText, {
+            status: normalizeStatus(cell(row, 'status')),
+            priority: PRIORITY_WORDS[cell(row, 'priority').toLowerCase()] || null,
+            dueDate: normalizeDate(cell(row, 'dueDate')),
+            estimate: parseEstimate(cell(row, 'estimate').toLowerCase().replace(/\s+/g, '')),
+            tags: cell(row, 'tags').split(/[;,|]/).map(tag => tag.trim().replace(/^[#@]/, '')).filter(Boolean)
+        }));
+    });
+}
+
+function findCsvColumn(header, field) {
+    return header.findIndex(name => CSV_COLUMNS[field].includes(name.trim().toLowerCase()));
+}
+
+function detectDelimiter(line) {
+    const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: line.split(delimiter).length }));
+    return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+function splitCsvRow(line, delimiter) {
+    return parseCsvRows(line, delimiter)[0] || [];
+}
+
+// RFC 4180: quoted fields may contain delimiters, newlines and doubled quotes
+function parseCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+function normalizeStatus(value) {
+    const status = value.toLowerCase();
+    if (DONE_WORDS.includes(status)) return 'done';
+    if (IN_PROGRESS_WORDS.includes(status)) return 'inprogress';
+    return 'todo';
+}
+
+function normalizeDate(value) {
+    if (!value) return null;
+    if (parseDateKey(value)) return value.slice(0, 10);
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : toDateKey(date);
+}
+
+function normalizeText(text) {
+    return (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
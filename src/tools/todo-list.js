@@ -5,15 +5,41 @@
  */
 
 import { ToolBase } from './tool-base.js';
+import { getBlockers, isItemBlocked } from './todo-dependencies.js';
+import { TodoSync, applyTodoPatch, applyTagPatch, applyTodoFilePatch, splitTodoFile } from './todo-sync.js';
+import { TodoHistory, getHistoryShortcut } from './todo-history.js';
+import { getSubtaskProgress, migrateSubtasks } from './todo-subtasks.js';
+import { completeRecurringItem, describeRecurrence, parseDateKey, toDateKey } from './todo-recurrence.js';
+import { TodoReminders, collectDueItems, getDueClass, getItemDueState, getListDueState } from './todo-reminders.js';
+import { parseQuickAdd, renderQuickAddChips, formatDueTime } from './todo-quick-add.js';
+import { DUE_FILTERS, searchTodos, highlightMatches, hasActiveFilters } from './todo-search.js';
+import { getUsedTags, renderTagChips } from './todo-tags.js';
+import { getColumnName } from './todo-columns.js';
+import { isListActive, getActiveLists } from './todo-archive.js';
+import { addTimeSpent } from './todo-focus.js';
+import { MY_DAY_REASONS, isInMyDay, getMyDayItems, getMyDaySuggestions, addToMyDay, removeFromMyDay, needsDayPlanning, markDayPlanned } from './todo-my-day.js';
+import { settings } from './settings.js';
+
+// Open items shown per list card before "+N more"
+const COMPACT_ITEM_LIMIT = 3;
+// Add target that creates a list instead of an item
+const NEW_LIST_TARGET = 'new-list';
 
 export class TodoListTool extends ToolBase {
     constructor(container) {
         super(container);
-        this.lists = {};
+        // Without Tauri, loadTodos() can finish before this constructor body runs
+        this.lists = this.lists || {};
+        this.tags = this.tags || {};
         this.activeListId = null;
         this.currentView = 'priority-cycling'; // New priority cycling view
-        this.currentPriorityIndex = 0; // Track which priority level we're showing
+        this.currentPriorityIndex = 0; // Track which priority view we're showing
         this.priorityLevels = ['high', 'medium', 'low'];
+        this.priorityViews = [...this.priorityLevels, 'today']; // "today" gathers due items from every priority
+        this.expandedLists = new Set(); // Lists showing all open items instead of the first few
+        this.planningDay = false; // My Day suggestions reopened after the day was planned
+        this.searchQuery = '';
+        this.searchFilters = { status: '', priority: '', due: '', tag: '' };
     }
     
     async render() {
@@ -27,6 +53,12 @@ export class TodoListTool extends ToolBase {
                 <div class="tool-header">
                     <div class="todo-breadcrumb tool-title"></div>
                     <div class="tool-header-actions">
+                        <button class="tool-btn my-day-button" title="My Day">
+                            <i class="iconoir-sun-light"></i>
+                        </button>
+                        <button class="tool-btn search-button" title="Search Todos">
+                            <i class="iconoir-search"></i>
+                        </button>
                         <button class="tool-btn kanban-button" title="Open Kanban Board">
                             <i class="iconoir-kanban-board"></i>
                         </button>
@@ -35,13 +67,41 @@ export class TodoListTool extends ToolBase {
                 </div>
                 
                 <div class="tool-content">
+                    <!-- Search row (hidden by default) -->
+                    <div class="todo-search" style="display: none;">
+                        <input type="text" class="tool-input todo-search-input" placeholder="Search lists and items...">
+                        <div class="todo-search-filters">
+                            <select class="tool-input todo-search-filter" data-filter="status">
+                                <option value="">Any status</option>
+                                <option value="todo">To Do</option>
+                                <option value="inprogress">In Progress</option>
+                                <option value="done">Done</option>
+                            </select>
+                            <select class="tool-input todo-search-filter" data-filter="priority">
+                                <option value="">Any priority</option>
+                                <option value="high">High</option>
+                                <option value="medium">Medium</option>
+                                <option value="low">Low</option>
+                            </select>
+                            <select class="tool-input todo-search-filter" data-filter="due">
+                                <option value="">Any due date</option>
+                                ${Object.entries(DUE_FILTERS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                            </select>
+                            <select class="tool-input todo-search-filter" data-filter="tag">
+                                <option value="">Any tag</option>
+                            </select>
+                        </div>
+                    </div>
+                    
                     <div class="todo-content" style="max-height: 400px; overflow-y: auto;">
                         <!-- Dynamic content will be rendered here -->
                     </div>
                     
                     <!-- Add item input (hidden by default) -->
                     <div class="add-item-input" style="display: none;">
+                        <select class="tool-input add-target" title="Add to" style="display: none; margin-bottom: 6px;"></select>
                         <input type="text" class="tool-input new-item-text" placeholder="What needs to be done?">
+                        <div class="quick-add-preview"></div>
                         <div class="tool-row" style="margin-top: 8px; justify-content: flex-end; gap: 8px;">
                             <button class="tool-btn cancel-add">Cancel</button>
                             <button class="tool-btn primary confirm-add">Add</button>
@@ -76,6 +136,11 @@ export class TodoListTool extends ToolBase {
                     color: white;
                 }
                 
+                .priority-badge.today {
+                    background: var(--primary);
+                    color: white;
+                }
+                
                 /* Priority List Card Styles */
                 .priority-list-card {
                     background: rgba(255,255,255,0.05);
@@ -93,6 +158,14 @@ export class TodoListTool extends ToolBase {
                     box-shadow: 0 4px 8px rgba(0,0,0,0.1);
                 }
                 
+                .priority-list-card.due-today {
+                    border-color: var(--warning);
+                }
+                
+                .priority-list-card.overdue {
+                    border-color: var(--danger);
+                }
+                
                 .priority-list-header {
                     display: flex;
                     justify-content: space-between;
@@ -101,11 +174,43 @@ export class TodoListTool extends ToolBase {
                 }
                 
                 .priority-list-title {
+                    flex: 1;
+                    min-width: 0;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
                     font-weight: 600;
                     font-size: 14px;
                     color: var(--text-primary);
                 }
                 
+                .priority-list-actions {
+                    display: flex;
+                    gap: 4px;
+                }
+                
+                .list-collapse-btn {
+                    margin-right: 4px;
+                }
+                
+                .list-pin-btn {
+                    opacity: 0.5;
+                }
+                
+                .list-pin-btn.pinned,
+                .priority-list-card:hover .list-pin-btn {
+                    opacity: 1;
+                }
+                
+                .list-pin-btn.pinned {
+                    color: var(--primary);
+                }
+                
+                .priority-list-card.collapsed .priority-list-header,
+                .priority-list-card.collapsed .priority-list-progress {
+                    margin-bottom: 0;
+                }
+                
                 .priority-list-progress {
                     font-size: 12px;
                     color: var(--text-secondary);
@@ -132,6 +237,58 @@ export class TodoListTool extends ToolBase {
                     cursor: pointer;
                 }
                 
+                .compact-item .blocked-badge {
+                    flex: none;
+                    display: inline-flex;
+                    align-items: center;
+                    padding: 2px 4px;
+                    border-radius: 4px;
+                    background: var(--danger);
+                    color: white;
+                    font-size: 11px;
+                }
+                
+                .compact-item .subtask-progress {
+                    flex: none;
+                    font-size: 11px;
+                    font-weight: 600;
+                    color: var(--text-secondary);
+                    background: var(--translucent-bg);
+                    padding: 1px 6px;
+                    border-radius: 8px;
+                }
+                
+                .compact-item .subtask-progress.complete {
+                    color: var(--success);
+                }
+                
+                .compact-item .due-label {
+                    flex: none;
+                    font-size: 11px;
+                    font-weight: 600;
+                    padding: 1px 6px;
+                    border-radius: 8px;
+                    color: white;
+                }
+                
+                .compact-item .due-label.due-today {
+                    background: var(--warning);
+                }
+                
+                .compact-item .due-label.overdue {
+                    background: var(--danger);
+                }
+                
+                .compact-item.overdue span {
+                    color: var(--danger);
+                }
+                
+                .compact-item .recurrence-icon {
+                    flex: none;
+                    color: var(--primary);
+                    font-size: 12px;
+                }
+                
                 .compact-item span {
                     flex: 1;
                     text-overflow: ellipsis;
@@ -139,6 +296,59 @@ export class TodoListTool extends ToolBase {
                     white-space: nowrap;
                 }
                 
+                .compact-item .tag-chips,
+                .compact-item .tag-chip {
+                    flex: none;
+                }
+                
+                .compact-item .compact-item-list {
+                    flex: none;
+                    max-width: 35%;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    font-size: 11px;
+                    color: var(--text-secondary);
+                }
+                
+                .compact-item.completed span {
+                    text-decoration: line-through;
+                    opacity: 0.7;
+                }
+                
+                .compact-item .my-day-item-btn {
+                    flex: none;
+                    padding: 0 4px;
+                    font-size: 12px;
+                    opacity: 0;
+                    transition: opacity 0.2s ease;
+                }
+                
+                .compact-item:hover .my-day-item-btn,
+                .compact-item .my-day-item-btn.active {
+                    opacity: 1;
+                }
+                
+                .compact-item .my-day-item-btn.active {
+                    color: var(--warning);
+                }
+                
+                .compact-item .focus-item-btn {
+                    flex: none;
+                    padding: 0 4px;
+                    font-size: 12px;
+                    opacity: 0;
+                    transition: opacity 0.2s ease;
+                }
+                
+                .compact-item:hover .focus-item-btn {
+                    opacity: 1;
+                }
+                
+                .todo-item .tag-chips {
+                    margin-left: 6px;
+                }
+                
                 .empty-items {
                     text-align: center;
                     color: var(--success);
@@ -155,6 +365,126 @@ export class TodoListTool extends ToolBase {
                     font-style: italic;
                 }
                 
+                .more-items:hover {
+                    color: var(--primary);
+                }
+                
+                /* My Day */
+                .my-day-banner {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    margin-bottom: 12px;
+                    padding: 8px 12px;
+                    border: 2px dashed var(--warning);
+                    border-radius: 8px;
+                    font-size: 13px;
+                    font-weight: 600;
+                    color: var(--text-primary);
+                    cursor: pointer;
+                }
+                
+                .my-day-banner:hover {
+                    background: var(--translucent-bg);
+                }
+                
+                .my-day-reason {
+                    margin-top: 10px;
+                    font-size: 11px;
+                    font-weight: 600;
+                    text-transform: uppercase;
+                    color: var(--text-secondary);
+                }
+                
+                .my-day-suggestion {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 4px 0;
+                    font-size: 13px;
+                    color: var(--text-primary);
+                    cursor: pointer;
+                }
+                
+                .my-day-suggestion span {
+                    flex: 1;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+                
+                .my-day-suggestion .compact-item-list {
+                    flex: none;
+                    max-width: 35%;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    font-size: 11px;
+                    color: var(--text-secondary);
+                }
+                
+                /* Search */
+                .todo-search {
+                    margin-bottom: 8px;
+                }
+                
+                .todo-search-filters {
+                    display: flex;
+                    gap: 4px;
+                    margin-top: 6px;
+                }
+                
+                .todo-search-filters select {
+                    flex: 1;
+                    min-width: 0;
+                    padding: 4px;
+                    font-size: 11px;
+                    border-width: 1px;
+                }
+                
+                .search-result {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 6px 4px;
+                    font-size: 13px;
+                    color: var(--text-primary);
+                    border-bottom: 1px solid var(--translucent-bg);
+                    cursor: pointer;
+                }
+                
+                .search-result:hover {
+                    background: var(--translucent-bg);
+                }
+                
+                .search-result.completed .search-result-text {
+                    text-decoration: line-through;
+                    opacity: 0.7;
+                }
+                
+                .search-result-text {
+                    flex: 1;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+                
+                .search-result-text mark {
+                    background: none;
+                    color: var(--primary);
+                    font-weight: 700;
+                }
+                
+                .search-result-meta {
+                    flex: none;
+                    max-width: 40%;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    font-size: 11px;
+                    color: var(--text-secondary);
+                }
+                
                 /* Legacy styles for items view */
                 .todo-list-item, .todo-item {
                     background: transparent;
@@ -192,7 +522,15 @@ export class TodoListTool extends ToolBase {
                     font-weight: bold;
                     font-size: 16px;
                 }
-                
+
+                .todo-item.due-today {
+                    border-color: var(--warning);
+                }
+
+                .todo-item.overdue {
+                    border-color: var(--danger);
+                }
+
                 .todo-list-meta {
                     font-size: 12px;
                     color: var(--text-secondary);
@@ -227,13 +565,47 @@ export class TodoListTool extends ToolBase {
     
     bindEvents() {
         const addButton = this.find('.add-button');
+        const searchButton = this.find('.search-button');
+        const searchInput = this.find('.todo-search-input');
         const kanbanButton = this.find('.kanban-button');
+        const myDayButton = this.find('.my-day-button');
         const confirmAdd = this.find('.confirm-add');
         const cancelAdd = this.find('.cancel-add');
         const newItemInput = this.find('.new-item-text');
+        const addTarget = this.find('.add-target');
         
         if (addButton) addButton.addEventListener('click', () => this.showAddInput());
+        if (searchButton) searchButton.addEventListener('click', () => this.toggleSearch());
+        
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                this.searchQuery = searchInput.value;
+                this.updateView();
+            });
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.hideSearch();
+                if (e.key === 'Enter') {
+                    const first = this.container.querySelector('.search-result');
+                    if (first) first.click();
+                }
+            });
+        }
+        this.container.querySelectorAll('.todo-search-filter').forEach(select => {
+            select.addEventListener('change', () => {
+                this.searchFilters[select.dataset.filter] = select.value;
+                this.updateView();
+            });
+        });
         if (kanbanButton) kanbanButton.addEventListener('click', () => this.openKanbanWindow());
+        if (myDayButton) {
+            myDayButton.addEventListener('click', () => {
+                if (this.currentView === 'my-day') {
+                    this.showPriorityView();
+                } else {
+                    this.showMyDay();
+                }
+            });
+        }
         if (confirmAdd) confirmAdd.addEventListener('click', async () => await this.handleAdd());
         if (cancelAdd) cancelAdd.addEventListener('click', () => this.hideAddInput());
         
@@ -242,7 +614,112 @@ export class TodoListTool extends ToolBase {
                 if (e.key === 'Enter') await this.handleAdd();
                 if (e.key === 'Escape') this.hideAddInput();
             });
+            newItemInput.addEventListener('input', () => this.updateQuickAddPreview());
         }
+        if (addTarget) {
+            addTarget.addEventListener('change', () => {
+                this.updateAddPlaceholder();
+                this.updateQuickAddPreview();
+                newItemInput.focus();
+            });
+        }
+        
+        // Apply changes made in kanban windows live, and share their undo history
+        this.todoSync.start();
+        this.history.start();
+        
+        // Announce items as they fall due
+        this.reminders = new TodoReminders(() => getActiveLists(this.lists));
+        this.reminders.start();
+        
+        // Ctrl+Z / Ctrl+Shift+Z undo and redo todo edits made in this window
+        this.historyKeyHandler = (e) => {
+            const action = getHistoryShortcut(e);
+            if (!action) return;
+            e.preventDefault();
+            if (action === 'undo') this.undo();
+            else this.redo();
+        };
+        document.addEventListener('keydown', this.historyKeyHandler);
+    }
+    
+    // Merge a patch published by another window and refresh the view
+    applyRemoteChanges(patch) {
+        applyTodoPatch(this.lists, patch);
+        applyTagPatch(this.tags, patch.tags);
+        
+        // The list being viewed may have been deleted or archived elsewhere
+        if (this.currentView === 'items' && !isListActive(this.lists[this.activeListId])) {
+            this.currentView = 'priority-cycling';
+            this.activeListId = null;
+        }
+        
+        this.updateView();
+        this.refreshTicker();
+    }
+    
+    // The timer lives in the same window, so compact items start sessions directly
+    startFocus(listId, itemId) {
+        const item = this.lists[listId] && this.lists[listId].items[itemId];
+        const timerTool = window.loadedTools && window.loadedTools.timer;
+        if (!item) return;
+        if (!timerTool) {
+            this.updateStatus('Timer is not available', 'warning', 2000);
+            return;
+        }
+        timerTool.startForItem({ listId, itemId, text: item.text });
+    }
+    
+    /**
+     * Add a completed focus session to an item's time spent (called by the timer tool)
+     * @param {string} listId - List ID
+     * @param {string} itemId - Item ID
+     * @param {number} minutes - Session length
+     */
+    async recordFocusSession(listId, itemId, minutes) {
+        const item = this.lists[listId] && this.lists[listId].items[itemId];
+        if (!item) {
+            console.warn('⚠️ Focus session item no longer exists:', itemId);
+            return;
+        }
+        
+        addTimeSpent(item, minutes);
+        this.updateView();
+        // Tracked time is not an edit, so it stays out of the undo history
+        await this.saveTodos();
+    }
+    
+    async undo() {
+        const command = await this.history.undo(this.lists, this.tags);
+        if (!command) {
+            this.updateStatus('Nothing to undo', 'secondary', 1500);
+            return;
+        }
+        
+        await this.afterHistoryChange();
+        this.updateStatus(`Undid: ${command.label}`, 'primary', 4000, { label: 'Redo', run: () => this.redo() });
+    }
+    
+    async redo() {
+        const command = await this.history.redo(this.lists, this.tags);
+        if (!command) {
+            this.updateStatus('Nothing to redo', 'secondary', 1500);
+            return;
+        }
+        
+        await this.afterHistoryChange();
+        this.updateStatus(`Redid: ${command.label}`, 'primary', 4000, { label: 'Undo', run: () => this.undo() });
+    }
+    
+    // Undo/redo may remove the list being viewed; saving publishes the change like any edit
+    async afterHistoryChange() {
+        if (this.currentView === 'items' && !isListActive(this.lists[this.activeListId])) {
+            this.currentView = 'priority-cycling';
+            this.activeListId = null;
+        }
+        
+        this.updateView();
+        await this.saveTodos();
     }
     
     updateView() {
@@ -252,15 +729,15 @@ export class TodoListTool extends ToolBase {
         if (this.currentView === 'priority-cycling') {
             // Show current priority level with cycling functionality
             breadcrumb.style.display = 'flex';
-            const currentPriority = this.priorityLevels[this.currentPriorityIndex];
+            const currentPriority = this.priorityViews[this.currentPriorityIndex];
             breadcrumb.innerHTML = `
                 <button class="tool-btn priority-cycle-btn" title="Cycle Priority">
                     <i class="iconoir-arrow-right"></i>
                 </button>
                 <span class="priority-badge ${currentPriority}">${currentPriority.toUpperCase()}</span>
-                Priority Lists
+                ${currentPriority === 'today' ? 'Due Items' : 'Priority Lists'}
             `;
-            content.innerHTML = this.renderPriorityLists(currentPriority);
+            content.innerHTML = this.renderPlanDayBanner() + this.renderPriorityLists(currentPriority);
             
             // Bind cycle button
             const cycleButton = breadcrumb.querySelector('.priority-cycle-btn');
@@ -268,6 +745,34 @@ export class TodoListTool extends ToolBase {
                 cycleButton.addEventListener('click', () => this.cyclePriority());
             }
             
+            this.bindContentEvents();
+        } else if (this.currentView === 'my-day') {
+            breadcrumb.style.display = 'flex';
+            breadcrumb.innerHTML = `
+                <button class="tool-btn back-button">← Back</button>
+                <i class="iconoir-sun-light"></i> My Day
+            `;
+            content.innerHTML = this.renderMyDay();
+            
+            const backButton = breadcrumb.querySelector('.back-button');
+            if (backButton) {
+                backButton.addEventListener('click', () => this.showPriorityView());
+            }
+            
+            this.bindContentEvents();
+        } else if (this.currentView === 'search') {
+            breadcrumb.style.display = 'flex';
+            breadcrumb.innerHTML = `
+                <button class="tool-btn back-button">← Back</button>
+                <i class="iconoir-search"></i> Search
+            `;
+            content.innerHTML = this.renderSearchResults();
+            
+            const backButton = breadcrumb.querySelector('.back-button');
+            if (backButton) {
+                backButton.addEventListener('click', () => this.hideSearch());
+            }
+            
             this.bindContentEvents();
         } else if (this.currentView === 'items') {
             // Show breadcrumb in items view for navigation
@@ -342,17 +847,19 @@ export class TodoListTool extends ToolBase {
         });
         
         return sortedItems.map(item => `
-            <div class="todo-item ${item.status === 'done' ? 'completed' : ''}" data-item-id="${item.id}">
+            <div class="todo-item ${item.status === 'done' ? 'completed' : ''} ${getDueClass(getItemDueState(item))}" data-item-id="${item.id}">
                 ${item.text}
+                ${renderTagChips(item, this.tags)}
             </div>
         `).join('');
     }
     
     renderPriorityLists(priority) {
-        // Get lists of the specified priority
-        const priorityLists = Object.keys(this.lists).filter(listId => 
-            this.lists[listId].priority === priority
-        );
+        if (priority === 'today') {
+            return this.renderTodayItems();
+        }
+        
+        const priorityLists = this.getOrderedLists(priority);
         
         if (priorityLists.length === 0) {
             return `
@@ -366,46 +873,425 @@ export class TodoListTool extends ToolBase {
             `;
         }
         
-        return priorityLists.slice(0, 3).map(listId => {
-            const list = this.lists[listId];
-            const itemsArray = Object.values(list.items);
-            const totalItems = itemsArray.length;
-            const completedItems = itemsArray.filter(item => item.status === 'done').length;
-            const incompleteItems = itemsArray.filter(item => item.status !== 'done').slice(0, 3);
-            
-            return `
-                <div class="priority-list-card" data-list-id="${listId}">
-                    <div class="priority-list-header">
-                        <div class="priority-list-title">${list.name}</div>
-                        <button class="tool-btn small kanban-open-btn" data-list-id="${listId}" title="Open in Kanban">
+        return priorityLists.map(list => this.renderPriorityListCard(list)).join('');
+    }
+    
+    // Active lists of a priority: pinned lists first, then in their stored order
+    getOrderedLists(priority) {
+        return Object.values(this.lists)
+            .filter(list => list.priority === priority && isListActive(list))
+            .sort((a, b) => 
+                Boolean(b.pinned) - Boolean(a.pinned) || 
+                (a.position || 0) - (b.position || 0) || 
+                (a.createdAt || 0) - (b.createdAt || 0)
+            );
+    }
+    
+    renderPriorityListCard(list) {
+        const itemsArray = Object.values(list.items);
+        const totalItems = itemsArray.length;
+        const completedItems = itemsArray.filter(item => item.status === 'done').length;
+        const openItems = itemsArray.filter(item => item.status !== 'done');
+        const collapsed = this.isListCollapsed(list.id);
+        const expanded = this.expandedLists.has(list.id);
+        const shownItems = expanded ? openItems : openItems.slice(0, COMPACT_ITEM_LIMIT);
+        
+        return `
+            <div class="priority-list-card ${collapsed ? 'collapsed' : ''} ${getDueClass(getListDueState(list))}" data-list-id="${list.id}">
+                <div class="priority-list-header">
+                    <button class="tool-btn small list-collapse-btn" data-list-id="${list.id}" title="${collapsed ? 'Expand' : 'Collapse'}" aria-expanded="${!collapsed}">
+                        <i class="iconoir-nav-arrow-${collapsed ? 'right' : 'down'}"></i>
+                    </button>
+                    <div class="priority-list-title">${list.name}</div>
+                    <div class="priority-list-actions">
+                        <button class="tool-btn small list-pin-btn ${list.pinned ? 'pinned' : ''}" data-list-id="${list.id}" title="${list.pinned ? 'Unpin' : 'Pin to top'}">
+                            <i class="iconoir-${list.pinned ? 'pin-slash' : 'pin'}"></i>
+                        </button>
+                        <button class="tool-btn small kanban-open-btn" data-list-id="${list.id}" title="Open in Kanban">
                             <i class="iconoir-external-link"></i>
                         </button>
                     </div>
-                    <div class="priority-list-progress">
-                        ${completedItems}/${totalItems} completed
-                        ${totalItems === 0 ? '' : ` • ${Math.round((completedItems/totalItems) * 100)}%`}
-                    </div>
+                </div>
+                <div class="priority-list-progress">
+                    ${completedItems}/${totalItems} completed
+                    ${totalItems === 0 ? '' : ` • ${Math.round((completedItems/totalItems) * 100)}%`}
+                </div>
+                ${collapsed ? '' : `
                     <div class="priority-list-items">
-                        ${incompleteItems.length === 0 ? 
+                        ${openItems.length === 0 ? 
                             '<div class="empty-items">All tasks completed! ✓</div>' :
-                            incompleteItems.map(item => `
-                                <div class="compact-item" data-item-id="${item.id}" data-list-id="${listId}">
-                                    <input type="checkbox" ${item.status === 'done' ? 'checked' : ''}>
-                                    <span>${item.text}</span>
-                                </div>
-                            `).join('')
+                            shownItems.map(item => this.renderCompactItem(list, item)).join('')
                         }
-                        ${incompleteItems.length === 3 && totalItems > 3 ? 
-                            `<div class="more-items">+${totalItems - 3} more items...</div>` : ''
+                        ${openItems.length > COMPACT_ITEM_LIMIT ? 
+                            `<div class="more-items" data-list-id="${list.id}">${expanded ? 'Show fewer' : `+${openItems.length - COMPACT_ITEM_LIMIT} more items...`}</div>` : ''
                         }
                     </div>
+                `}
+            </div>
+        `;
+    }
+    
+    // Open items due today or overdue across every priority, most overdue first
+    renderTodayItems() {
+        const dueItems = collectDueItems(getActiveLists(this.lists));
+        
+        if (dueItems.length === 0) {
+            return `
+                <div style="text-align: center; color: #6c757d; padding: 40px 20px;">
+                    <div style="font-size: 48px; margin-bottom: 10px;">
+                        <i class="iconoir-sun-light"></i>
+                    </div>
+                    <div style="font-weight: 600; margin-bottom: 5px;">Nothing due today</div>
+                    <div style="font-size: 14px;">Items due today or overdue show up here</div>
                 </div>
             `;
-        }).join('');
+        }
+        
+        const overdue = dueItems.filter(entry => entry.state === 'overdue').length;
+        return `
+            <div class="priority-list-progress">
+                ${dueItems.length} due${overdue > 0 ? ` • ${overdue} overdue` : ''}
+            </div>
+            <div class="priority-list-items">
+                ${dueItems.map(({ list, item }) => this.renderCompactItem(list, item, true)).join('')}
+            </div>
+        `;
+    }
+    
+    renderCompactItem(list, item, showListName = false) {
+        return `
+            <div class="compact-item ${item.status === 'done' ? 'completed' : ''} ${getDueClass(getItemDueState(item))}" data-item-id="${item.id}" data-list-id="${list.id}">
+                <input type="checkbox" ${item.status === 'done' ? 'checked' : ''}>
+                ${isItemBlocked(this.lists, item) ? 
+                    `<i class="iconoir-lock blocked-badge" title="Blocked by: ${getBlockers(this.lists, item).map(({ item: blocker }) => blocker.text).join(', ')}"></i>` : ''
+                }
+                <span>${item.text}</span>
+                ${showListName ? `<small class="compact-item-list">${list.name}</small>` : ''}
+                ${renderTagChips(item, this.tags)}
+                ${item.recurrence ? `<i class="iconoir-repeat recurrence-icon" title="${describeRecurrence(item.recurrence)}"></i>` : ''}
+                ${this.renderSubtaskProgress(item)}
+                ${this.renderDueLabel(item)}
+                <button class="tool-btn small my-day-item-btn ${isInMyDay(item) ? 'active' : ''}" title="${isInMyDay(item) ? 'Remove from My Day' : 'Add to My Day'}">
+                    <i class="iconoir-sun-light"></i>
+                </button>
+                <button class="tool-btn small focus-item-btn" title="Start a focus session on this item">
+                    <i class="iconoir-timer"></i>
+                </button>
+            </div>
+        `;
+    }
+    
+    // Morning prompt above the priority lists until today has been planned
+    renderPlanDayBanner() {
+        if (!needsDayPlanning()) return '';
+        
+        const count = getMyDaySuggestions(this.lists).length;
+        return `
+            <div class="my-day-banner">
+                <i class="iconoir-sun-light"></i>
+                <span>Plan your day${count > 0 ? ` • ${count} suggestions` : ''}</span>
+            </div>
+        `;
+    }
+    
+    renderMyDay() {
+        if (this.planningDay || needsDayPlanning()) {
+            return this.renderMyDayPlanner();
+        }
+        
+        const entries = getMyDayItems(this.lists);
+        if (entries.length === 0) {
+            return `
+                <div style="text-align: center; color: #6c757d; padding: 40px 20px;">
+                    <div style="font-size: 48px; margin-bottom: 10px;">
+                        <i class="iconoir-sun-light"></i>
+                    </div>
+                    <div style="font-weight: 600; margin-bottom: 5px;">Nothing planned for today</div>
+                    <div style="font-size: 14px;">Pick from the suggestions or use the sun button on any item</div>
+                </div>
+                <div class="more-items my-day-replan">Show suggestions</div>
+            `;
+        }
+        
+        const done = entries.filter(({ item }) => item.status === 'done').length;
+        return `
+            <div class="priority-list-progress">
+                ${done}/${entries.length} completed • ${Math.round((done / entries.length) * 100)}%
+            </div>
+            <div class="priority-list-items">
+                ${entries.map(({ list, item }) => this.renderCompactItem(list, item, true)).join('')}
+            </div>
+            <div class="more-items my-day-replan">Add from suggestions...</div>
+        `;
+    }
+    
+    // Suggestions grouped by reason; carried over, overdue and due today start ticked
+    renderMyDayPlanner() {
+        const suggestions = getMyDaySuggestions(this.lists);
+        const reasons = Object.keys(MY_DAY_REASONS).filter(reason => 
+            suggestions.some(suggestion => suggestion.reason === reason)
+        );
+        
+        return `
+            <div class="my-day-planner">
+                <div class="priority-list-title">What will you focus on today?</div>
+                ${suggestions.length === 0 ? 
+                    '<div class="more-items">No suggestions. Use the sun button on any item to add it.</div>' :
+                    reasons.map(reason => `
+                        <div class="my-day-reason">${MY_DAY_REASONS[reason]}</div>
+                        ${suggestions.filter(suggestion => suggestion.reason === reason).map(({ list, item }) => `
+                            <label class="my-day-suggestion">
+                                <input type="checkbox" data-list-id="${list.id}" data-item-id="${item.id}" ${reason === 'high' ? '' : 'checked'}>
+                                <span>${item.text}</span>
+                                <small class="compact-item-list">${list.name}</small>
+                            </label>
+                        `).join('')}
+                    `).join('')
+                }
+                <div class="tool-row" style="margin-top: 8px; justify-content: flex-end; gap: 8px;">
+                    <button class="tool-btn my-day-skip-btn">Skip</button>
+                    <button class="tool-btn primary my-day-plan-btn">Plan My Day</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    showMyDay() {
+        this.currentView = 'my-day';
+        this.activeListId = null;
+        this.updateView();
+    }
+    
+    // Add the ticked suggestions and stop asking until tomorrow
+    async planDay(addSelected = true) {
+        const picked = addSelected 
+            ? Array.from(this.container.querySelectorAll('.my-day-suggestion input:checked')) 
+            : [];
+        picked.forEach(checkbox => {
+            const list = this.lists[checkbox.getAttribute('data-list-id')];
+            const item = list && list.items[checkbox.getAttribute('data-item-id')];
+            if (item) addToMyDay(item);
+        });
+        
+        this.planningDay = false;
+        const planned = markDayPlanned();
+        this.updateView();
+        if (picked.length > 0) {
+            await this.saveTodos(`Plan My Day (${picked.length} items)`);
+        }
+        await planned;
+    }
+    
+    async toggleMyDay(listId, itemId) {
+        const item = this.lists[listId] && this.lists[listId].items[itemId];
+        if (!item) return;
+        
+        const adding = !isInMyDay(item);
+        if (adding) {
+            addToMyDay(item);
+        } else {
+            removeFromMyDay(item);
+        }
+        
+        this.updateView();
+        await this.saveTodos(adding ? `Add "${item.text}" to My Day` : `Remove "${item.text}" from My Day`);
+        this.updateStatus(adding ? `Added "${item.text}" to My Day` : `Removed "${item.text}" from My Day`, 
+            'primary', 3000, { label: 'Undo', run: () => this.undo() });
+    }
+    
+    // Collapsed cards are a view preference, kept in settings rather than the todo data
+    isListCollapsed(listId) {
+        return (settings.get('todos.collapsedLists') || []).includes(listId);
+    }
+    
+    async toggleListCollapsed(listId) {
+        const collapsed = (settings.get('todos.collapsedLists') || []).filter(id => id !== listId);
+        if (!this.isListCollapsed(listId)) {
+            collapsed.push(listId);
+        }
+        const saved = settings.set('todos.collapsedLists', collapsed);
+        this.updateView();
+        await saved;
+    }
+    
+    toggleListExpanded(listId) {
+        if (this.expandedLists.has(listId)) {
+            this.expandedLists.delete(listId);
+        } else {
+            this.expandedLists.add(listId);
+        }
+        this.updateView();
+    }
+    
+    async toggleListPinned(listId) {
+        const list = this.lists[listId];
+        if (!list) return;
+        
+        list.pinned = !list.pinned;
+        this.updateView();
+        await this.saveTodos(list.pinned ? `Pin "${list.name}"` : `Unpin "${list.name}"`);
+    }
+    
+    renderSubtaskProgress(item) {
+        const { done, total } = getSubtaskProgress(item);
+        if (total === 0) return '';
+        return `<small class="subtask-progress ${done === total ? 'complete' : ''}" title="${done} of ${total} steps done">${done}/${total}</small>`;
+    }
+    
+    renderDueLabel(item) {
+        const state = getItemDueState(item);
+        if (state === 'overdue') return `<small class="due-label overdue" title="Due ${item.dueDate}">Overdue</small>`;
+        if (state === 'today') return '<small class="due-label due-today">Today</small>';
+        return '';
+    }
+    
+    // Counts for the "Due today" status ticker entry
+    getDueSummary() {
+        const dueItems = collectDueItems(getActiveLists(this.lists));
+        return {
+            overdue: dueItems.filter(entry => entry.state === 'overdue').length,
+            today: dueItems.filter(entry => entry.state === 'today').length
+        };
+    }
+    
+    // Messages the "todos-status" ticker entry rotates through, as { text, type }
+    getTickerMessages() {
+        const items = Object.values(getActiveLists(this.lists)).flatMap(list =>
+            Object.values(list.items || {}).map(item => ({ list, item }))
+        );
+        const open = items.filter(({ item }) => item.status !== 'done');
+        
+        if (items.length === 0) return [{ text: 'Todos: Empty', type: 'secondary' }];
+        
+        const messages = [];
+        const todayStart = new Date();
+        todayStart.setHours(0, 0, 0, 0);
+        const doneToday = items.filter(({ item }) =>
+            item.status === 'done' && item.completedAt && item.completedAt >= todayStart.getTime()
+        ).length;
+        
+        if (open.length === 0) {
+            messages.push({ text: `Todos: All done! (${items.length})`, type: 'success' });
+        } else {
+            // Item priority (from quick add) overrides the list's priority
+            const counts = this.priorityLevels
+                .map(priority => ({
+                    priority,
+                    count: open.filter(({ list, item }) => (item.priority || list.priority) === priority).length
+                }))
+                .filter(({ count }) => count > 0)
+                .map(({ priority, count }) => `${count} ${priority}`);
+            messages.push({
+                text: `Todos: ${counts.length > 0 ? counts.join(' · ') : open.length} pending`,
+                type: 'primary'
+            });
+        }
+        
+        const inProgress = open.filter(({ item }) => item.status === 'inprogress');
+        if (inProgress.length > 0) {
+            const more = inProgress.length > 1 ? ` (+${inProgress.length - 1})` : '';
+            messages.push({ text: `In progress: ${inProgress[0].item.text}${more}`, type: 'warning' });
+        }
+        
+        const nextDue = open
+            .filter(({ item }) => item.dueDate)
+            .sort((a, b) => `${a.item.dueDate} ${a.item.dueTime || ''}`.localeCompare(`${b.item.dueDate} ${b.item.dueTime || ''}`))[0];
+        if (nextDue) {
+            const { item } = nextDue;
+            const state = getItemDueState(item);
+            const date = parseDateKey(item.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            const when = state === 'today' ? 'today' : date;
+            const time = item.dueTime ? ` ${formatDueTime(item.dueTime)}` : '';
+            messages.push({
+                text: `Next due: ${item.text} · ${when}${time}`,
+                type: state === 'overdue' ? 'danger' : state === 'today' ? 'warning' : 'accent'
+            });
+        }
+        
+        if (doneToday > 0) {
+            messages.push({ text: `Done today: ${doneToday}`, type: 'success' });
+        }
+        
+        return messages;
+    }
+    
+    // Redraw the todo ticker entries now instead of waiting for the next rotation
+    refreshTicker() {
+        if (window.statusTicker && window.statusTicker.refresh) {
+            window.statusTicker.refresh(['todos-status', 'todos-due-status']);
+        }
+    }
+    
+    renderSearchResults() {
+        if (!this.searchQuery.trim() && !hasActiveFilters(this.searchFilters)) {
+            return `
+                <div style="text-align: center; color: #6c757d; padding: 40px 20px;">
+                    <div style="font-size: 14px;">Type to search, or pick a filter</div>
+                </div>
+            `;
+        }
+        
+        const results = searchTodos(getActiveLists(this.lists), this.searchQuery, this.searchFilters);
+        if (results.length === 0) {
+            return `
+                <div style="text-align: center; color: #6c757d; padding: 40px 20px;">
+                    <div style="font-size: 14px;">No matching lists or items</div>
+                </div>
+            `;
+        }
+        
+        return results.map(({ type, list, item }) => type === 'list' ? `
+            <div class="search-result" data-list-id="${list.id}" title="Open in Kanban">
+                <i class="iconoir-list"></i>
+                <span class="search-result-text">${highlightMatches(list.name, this.searchQuery)}</span>
+                <span class="priority-badge ${list.priority}">${list.priority}</span>
+            </div>
+        ` : `
+            <div class="search-result ${item.status === 'done' ? 'completed' : ''}" data-list-id="${list.id}" data-item-id="${item.id}" title="Open in Kanban">
+                <i class="iconoir-check-circle"></i>
+                <span class="search-result-text">${highlightMatches(item.text, this.searchQuery)}</span>
+                <span class="search-result-meta">${list.name} • ${getColumnName(list, item.status)}</span>
+            </div>
+        `).join('');
+    }
+    
+    toggleSearch() {
+        if (this.currentView === 'search') {
+            this.hideSearch();
+        } else {
+            this.showSearch();
+        }
+    }
+    
+    showSearch() {
+        const searchRow = this.find('.todo-search');
+        const searchInput = this.find('.todo-search-input');
+        
+        // Tags only appear in the filter once items use them
+        const tagSelect = this.find('.todo-search-filter[data-filter="tag"]');
+        const tags = getUsedTags(getActiveLists(this.lists), this.tags);
+        tagSelect.innerHTML = '<option value="">Any tag</option>' +
+            tags.map(tag => `<option value="${tag.id}">${tag.name}</option>`).join('');
+        tagSelect.value = tags.some(tag => tag.id === this.searchFilters.tag) ? this.searchFilters.tag : '';
+        this.searchFilters.tag = tagSelect.value;
+        tagSelect.style.display = tags.length > 0 ? '' : 'none';
+        
+        searchRow.style.display = 'block';
+        searchInput.value = this.searchQuery;
+        searchInput.focus();
+        
+        this.currentView = 'search';
+        this.activeListId = null;
+        this.updateView();
+    }
+    
+    hideSearch() {
+        this.find('.todo-search').style.display = 'none';
+        this.showPriorityView();
     }
     
     cyclePriority() {
-        this.currentPriorityIndex = (this.currentPriorityIndex + 1) % this.priorityLevels.length;
+        this.currentPriorityIndex = (this.currentPriorityIndex + 1) % this.priorityViews.length;
         this.updateView();
     }
     
@@ -419,20 +1305,112 @@ export class TodoListTool extends ToolBase {
         const addInput = this.container.querySelector('.add-item-input');
         const textInput = this.container.querySelector('.new-item-text');
         
+        this.renderAddTargets();
         addInput.style.display = 'block';
         textInput.focus();
         textInput.value = '';
+        this.updateAddPlaceholder();
+        this.updateQuickAddPreview();
+    }
+    
+    hideAddInput() {
+        const addInput = this.container.querySelector('.add-item-input');
+        addInput.style.display = 'none';
+        
+        const preview = this.container.querySelector('.quick-add-preview');
+        if (preview) preview.innerHTML = '';
+    }
+    
+    // Outside a list, "+ Add" asks where to add: a new list with the shown priority,
+    // or any active list (those of the shown priority first)
+    renderAddTargets() {
+        const select = this.container.querySelector('.add-target');
+        if (!select) return;
+        
+        if (this.currentView === 'items' || this.currentView === 'lists') {
+            select.style.display = 'none';
+            select.innerHTML = '';
+            return;
+        }
+        
+        const priority = this.getNewListPriority();
+        const shown = this.priorityViews[this.currentPriorityIndex];
+        const levels = [...this.priorityLevels].sort((a, b) => (b === shown) - (a === shown));
+        select.innerHTML = `
+            <option value="${NEW_LIST_TARGET}">+ New ${priority} priority list</option>
+            ${levels.map(level => {
+                const lists = this.getOrderedLists(level);
+                if (lists.length === 0) return '';
+                return `
+                    <optgroup label="${level.charAt(0).toUpperCase() + level.slice(1)} priority">
+                        ${lists.map(list => `<option value="${list.id}">${list.name}</option>`).join('')}
+                    </optgroup>
+                `;
+            }).join('')}
+        `;
+        // Preselect the first list shown (the first list of any priority on the "today" view)
+        const shownLists = shown === 'today' 
+            ? this.priorityLevels.flatMap(level => this.getOrderedLists(level)) 
+            : this.getOrderedLists(priority);
+        select.value = this.getQuickAddListId() || (shownLists.length > 0 ? shownLists[0].id : NEW_LIST_TARGET);
+        select.style.display = 'block';
+    }
+    
+    // Priority of lists created from the priority view ("today" has none of its own)
+    getNewListPriority() {
+        const shown = this.priorityViews[this.currentPriorityIndex];
+        return this.priorityLevels.includes(shown) ? shown : 'medium';
+    }
+    
+    // True when the add input names a new list rather than an item
+    isAddingList() {
+        if (this.currentView === 'lists') return true;
+        
+        const select = this.container.querySelector('.add-target');
+        return Boolean(select) && select.style.display !== 'none' && select.value === NEW_LIST_TARGET;
+    }
+    
+    updateAddPlaceholder() {
+        const textInput = this.container.querySelector('.new-item-text');
+        if (!textInput) return;
         
-        if (this.currentView === 'lists') {
+        if (this.isAddingList()) {
             textInput.placeholder = 'List name (e.g., "Work Tasks", "Shopping")';
         } else {
-            textInput.placeholder = 'What needs to be done?';
+            textInput.placeholder = 'What needs to be done? (e.g. "Call Sam on fri 3pm !high #Work")';
         }
     }
     
-    hideAddInput() {
-        const addInput = this.container.querySelector('.add-item-input');
-        addInput.style.display = 'none';
+    // Show what the quick-add parser recognised before the item is saved
+    updateQuickAddPreview() {
+        const textInput = this.container.querySelector('.new-item-text');
+        const preview = this.container.querySelector('.quick-add-preview');
+        if (!textInput || !preview) return;
+        
+        if (this.isAddingList()) {
+            preview.innerHTML = '';
+            return;
+        }
+        
+        const activeLists = getActiveLists(this.lists);
+        const parsed = parseQuickAdd(textInput.value, activeLists);
+        const listId = parsed.listId || this.getQuickAddListId();
+        preview.innerHTML = textInput.value.trim() ?
+            renderQuickAddChips({ ...parsed, listId }, activeLists) : '';
+    }
+    
+    // List that receives quick-added items without a #List token
+    getQuickAddListId() {
+        if (this.activeListId && this.lists[this.activeListId]) {
+            return this.activeListId;
+        }
+        
+        // The list picked in the add input, when one is picked
+        const select = this.container.querySelector('.add-target');
+        if (select && select.style.display !== 'none' && this.lists[select.value]) {
+            return select.value;
+        }
+        return null;
     }
     
     async handleAdd() {
@@ -441,15 +1419,45 @@ export class TodoListTool extends ToolBase {
         
         if (!text) return;
         
-        if (this.currentView === 'lists') {
-            this.createList(text);
+        let label = `Add "${text}"`;
+        if (this.isAddingList()) {
+            const priority = this.currentView === 'lists' ? 'medium' : this.getNewListPriority();
+            this.createList(text, priority);
+            label = `Add list "${text}"`;
+            if (window.updateStatus) window.updateStatus(`Created ${priority} priority list "${text}"`, 'success', 2000);
         } else {
-            this.createItem(text);
+            const parsed = parseQuickAdd(text, getActiveLists(this.lists));
+            const listId = parsed.listId || this.getQuickAddListId();
+            
+            if (!parsed.text) {
+                if (window.updateStatus) window.updateStatus('Todo needs a description', 'warning', 2000);
+                return;
+            }
+            if (!listId) {
+                if (window.updateStatus) window.updateStatus('Create a list first, or add #ListName', 'warning', 3000);
+                return;
+            }
+            
+            // Items added on the "today" view are due today unless they say otherwise
+            const onTodayView = this.currentView === 'priority-cycling' && this.priorityViews[this.currentPriorityIndex] === 'today';
+            if (onTodayView && !parsed.dueDate) {
+                parsed.dueDate = toDateKey(new Date());
+            }
+            
+            const item = this.createItem(parsed.text, { ...parsed, listId });
+            // Items added on the My Day view join today's plan
+            if (item && this.currentView === 'my-day') {
+                addToMyDay(item);
+            }
+            label = `Add "${parsed.text}"`;
+            if (window.updateStatus && listId !== this.activeListId) {
+                window.updateStatus(`Added to ${this.lists[listId].name}`, 'success', 2000);
+            }
         }
         
         this.hideAddInput();
         this.updateView();
-        await this.saveTodos();
+        await this.saveTodos(label);
     }
     
     createList(name, priority = 'medium') {
@@ -470,20 +1478,33 @@ export class TodoListTool extends ToolBase {
         }
     }
     
-    createItem(text) {
-        if (!this.activeListId || !this.lists[this.activeListId]) return;
+    /**
+     * Add an item to a list
+     * @param {string} text - Item description
+     * @param {Object} [options] - Parsed quick-add attributes (listId, priority, dueDate, dueTime, recurrence, estimate)
+     * @returns {Object|undefined} The new item, or undefined without a list
+     */
+    createItem(text, options = {}) {
+        const listId = options.listId || this.activeListId;
+        if (!listId || !this.lists[listId]) return;
         
         const itemId = this.generateId();
-        const list = this.lists[this.activeListId];
+        const list = this.lists[listId];
         
         // Use kanban-compatible object format
         list.items[itemId] = {
             id: itemId,
             text: text,
             status: 'todo', // Use kanban status instead of completed boolean
-            dueDate: null,
+            priority: options.priority || null,
+            dueDate: options.dueDate || null,
+            dueTime: options.dueTime || null,
+            estimate: options.estimate || null,
             position: Object.keys(list.items).length,
             linkedItems: [],
+            subtasks: [],
+            completeWithSubtasks: false,
+            recurrence: options.recurrence || null,
             createdAt: Date.now(),
             completedAt: null
         };
@@ -492,6 +1513,8 @@ export class TodoListTool extends ToolBase {
         if (window.usageAnalytics) {
             window.usageAnalytics.trackTodoCreated(true); // true = item
         }
+        
+        return list.items[itemId];
     }
     
     showLists() {
@@ -512,6 +1535,16 @@ export class TodoListTool extends ToolBase {
         const item = this.lists[this.activeListId].items[itemId];
         if (item) {
             const wasCompleted = item.status === 'done';
+            
+            // Warn before completing an item whose blockers are still open
+            if (!wasCompleted && isItemBlocked(this.lists, item)) {
+                const names = getBlockers(this.lists, item).map(({ item: blocker }) => `"${blocker.text}"`).join(', ');
+                if (!confirm(`"${item.text}" is still blocked by ${names}. Mark it as done anyway?`)) {
+                    this.updateView(); // Restore the checkbox state
+                    return;
+                }
+            }
+            
             item.status = item.status === 'done' ? 'todo' : 'done';
             item.completedAt = item.status === 'done' ? Date.now() : null;
             
@@ -520,18 +1553,35 @@ export class TodoListTool extends ToolBase {
                 window.usageAnalytics.trackTodoCompleted();
             }
             
+            // Completing a recurring item queues up its next occurrence
+            let message = wasCompleted ? `Reopened "${item.text}"` : `Completed "${item.text}"`;
+            if (!wasCompleted && item.status === 'done') {
+                const nextItem = completeRecurringItem(this.lists[this.activeListId], item, () => this.generateId());
+                if (nextItem) {
+                    message = `Next "${nextItem.text}" due ${nextItem.dueDate}`;
+                }
+            }
+            
             this.updateView();
-            await this.saveTodos();
+            await this.saveTodos(wasCompleted ? `Reopen "${item.text}"` : `Complete "${item.text}"`);
+            this.updateStatus(message, 'primary', 5000, { label: 'Undo', run: () => this.undo() });
         }
     }
     
     bindContentEvents() {
+        // Search results open the owning list's status view in the kanban board
+        this.container.querySelectorAll('.search-result').forEach(result => {
+            result.addEventListener('click', async () => {
+                await this.openKanbanWindow(result.getAttribute('data-list-id'), result.getAttribute('data-item-id'));
+            });
+        });
+        
         // Bind priority list card clicks (open list in items view)
         const priorityListCards = this.container.querySelectorAll('.priority-list-card');
         priorityListCards.forEach(card => {
             card.addEventListener('click', (e) => {
-                // Don't trigger if clicking on checkbox or kanban button
-                if (e.target.closest('.compact-item input') || e.target.closest('.kanban-open-btn')) {
+                // Don't trigger if clicking on a checkbox, a card button or "+N more"
+                if (e.target.closest('.compact-item input') || e.target.closest('.tool-btn') || e.target.closest('.more-items')) {
                     return;
                 }
                 const listId = card.getAttribute('data-list-id');
@@ -559,12 +1609,54 @@ export class TodoListTool extends ToolBase {
             });
         });
         
+        // Bind focus buttons on compact items
+        this.container.querySelectorAll('.compact-item .focus-item-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const itemContainer = btn.closest('.compact-item');
+                this.startFocus(itemContainer.getAttribute('data-list-id'), itemContainer.getAttribute('data-item-id'));
+            });
+        });
+        
+        // Bind My Day prompt, planner and item buttons
+        this.container.querySelectorAll('.my-day-banner').forEach(banner => {
+            banner.addEventListener('click', () => this.showMyDay());
+        });
+        this.container.querySelectorAll('.my-day-replan').forEach(link => {
+            link.addEventListener('click', () => {
+                this.planningDay = true;
+                this.updateView();
+            });
+        });
+        const planButton = this.find('.my-day-plan-btn');
+        if (planButton) planButton.addEventListener('click', async () => await this.planDay());
+        const skipButton = this.find('.my-day-skip-btn');
+        if (skipButton) skipButton.addEventListener('click', async () => await this.planDay(false));
+        this.container.querySelectorAll('.compact-item .my-day-item-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const itemContainer = btn.closest('.compact-item');
+                await this.toggleMyDay(itemContainer.getAttribute('data-list-id'), itemContainer.getAttribute('data-item-id'));
+            });
+        });
+        
+        // Bind list card collapse, pin and "+N more" toggles
+        this.container.querySelectorAll('.list-collapse-btn').forEach(btn => {
+            btn.addEventListener('click', async () => await this.toggleListCollapsed(btn.getAttribute('data-list-id')));
+        });
+        this.container.querySelectorAll('.list-pin-btn').forEach(btn => {
+            btn.addEventListener('click', async () => await this.toggleListPinned(btn.getAttribute('data-list-id')));
+        });
+        this.container.querySelectorAll('.more-items[data-list-id]').forEach(more => {
+            more.addEventListener('click', () => this.toggleListExpanded(more.getAttribute('data-list-id')));
+        });
+        
         // Bind kanban open buttons
         const kanbanOpenBtns = this.container.querySelectorAll('.kanban-open-btn');
         kanbanOpenBtns.forEach(btn => {
             btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
-                await this.openKanbanWindow();
+                await this.openKanbanWindow(btn.getAttribute('data-list-id'));
             });
         });
         
@@ -591,13 +1683,47 @@ export class TodoListTool extends ToolBase {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     }
     
-    async saveTodos() {
+    /**
+     * Persist this window's changes
+     * @param {string} [label] - Records the change as an undoable command under this description
+     */
+    async saveTodos(label = null) {
+        if (label) {
+            this.history.record(label, this.todoSync.base, this.lists, {}, this.todoSync.baseTags, this.tags);
+        }
+        
+        // Only this window's own changes are written, so edits made elsewhere survive
+        const patch = this.todoSync.createPatch(this.lists, this.tags);
+        if (!patch) return;
+        
+        this.refreshTicker();
+        
+        // One save at a time, so overlapping saves can't drop each other's patches
+        try {
+            await this.todoSync.queueWrite(() => this.writeTodoPatch(patch));
+        } catch (error) {
+            console.error('❌ Failed to save todos:', error);
+            // Diff these changes again on the next save instead of losing them
+            this.todoSync.rollback(patch);
+            this.updateStatus('Could not save todos; they will be saved with your next change', 'danger', 5000, {
+                label: 'Retry',
+                run: () => this.saveTodos()
+            });
+            return;
+        }
+        await this.todoSync.publish(patch);
+    }
+    
+    async writeTodoPatch(patch) {
         try {
             // Save directly in kanban-compatible format
             if (window.__TAURI__ && window.__TAURI__.core) {
+                const fileData = await window.__TAURI__.core.invoke('read_json_file', {
+                    filename: 'ucanduit-todos.json'
+                }).catch(() => null);
                 await window.__TAURI__.core.invoke('write_json_file', {
                     filename: 'ucanduit-todos.json',
-                    data: this.lists
+                    data: applyTodoFilePatch(fileData || {}, patch)
                 });
                 console.log('✅ Todos saved to external file (kanban format)');
                 return;
@@ -607,10 +1733,16 @@ export class TodoListTool extends ToolBase {
         }
         
         // Fallback to ToolBase storage (also in kanban format)
-        this.saveToStorage('lists', this.lists);
+        if (!this.saveToStorage('lists', applyTodoFilePatch(this.loadFromStorage('lists', {}), patch))) {
+            throw new Error('Storage fallback failed');
+        }
     }
     
     async loadTodos() {
+        // Created here rather than in the constructor, which runs after loading starts
+        this.todoSync = new TodoSync((patch) => this.applyRemoteChanges(patch));
+        this.history = new TodoHistory();
+        
         try {
             // First try to load from external file using Tauri
             if (window.__TAURI__ && window.__TAURI__.core) {
@@ -618,8 +1750,10 @@ export class TodoListTool extends ToolBase {
                     filename: 'ucanduit-todos.json'
                 });
                 if (fileData) {
-                    this.lists = fileData;
+                    ({ lists: this.lists, tags: this.tags } = splitTodoFile(fileData));
+                    this.todoSync.setBase(this.lists, this.tags);
                     console.log('✅ Todos loaded from external file');
+                    this.migratePriorityField();
                     return;
                 }
             }
@@ -628,7 +1762,8 @@ export class TodoListTool extends ToolBase {
         }
         
         // Fallback to ToolBase storage
-        this.lists = this.loadFromStorage('lists', {});
+        ({ lists: this.lists, tags: this.tags } = splitTodoFile(this.loadFromStorage('lists', {})));
+        this.todoSync.setBase(this.lists, this.tags);
         
         // Try old localStorage key for migration
         if (Object.keys(this.lists).length === 0) {
@@ -682,6 +1817,8 @@ export class TodoListTool extends ToolBase {
                         dueDate: null,
                         position: index,
                         linkedItems: [],
+                        subtasks: [],
+                        completeWithSubtasks: false,
                         createdAt: item.createdAt || Date.now(),
                         completedAt: item.completedAt || null
                     };
@@ -690,6 +1827,13 @@ export class TodoListTool extends ToolBase {
                 needsSave = true;
                 console.log(`🔄 Converted list "${list.name}" items from array to object format`);
             }
+            
+            // Add subtask checklist fields to items that predate them
+            Object.values(list.items || {}).forEach(item => {
+                if (migrateSubtasks(item)) {
+                    needsSave = true;
+                }
+            });
         });
         
         if (needsSave) {
@@ -699,11 +1843,21 @@ export class TodoListTool extends ToolBase {
     }
     
     // Open dedicated kanban board window
-    async openKanbanWindow() {
+    /**
+     * Open the kanban board, optionally on one list's status view
+     * @param {string|null} [listId] - List to open
+     * @param {string|null} [itemId] - Item to point out within the list
+     */
+    async openKanbanWindow(listId = null, itemId = null) {
+        const params = new URLSearchParams();
+        if (listId) params.set('list', listId);
+        if (itemId) params.set('item', itemId);
+        const query = params.toString() ? `?${params}` : '';
+        
         try {
             if (!window.__TAURI__) {
                 // Browser fallback - open in new tab
-                const kanbanUrl = '../src/kanban-window.html';
+                const kanbanUrl = `../src/kanban-window.html${query}`;
                 const kanbanWindow = window.open(kanbanUrl, 'kanban-board', 
                     'width=1000,height=700,resizable=yes,scrollbars=yes');
                     
@@ -727,7 +1881,7 @@ export class TodoListTool extends ToolBase {
                 const windowTitle = `Kanban Board - ucanduit`;
                     
                 const kanbanWindow = new webviewWindow.WebviewWindow(windowLabel, {
-                    url: '../src/kanban-window.html',
+                    url: `../src/kanban-window.html${query}`,
                     title: windowTitle,
                     width: 1000,
                     height: 700,
@@ -765,7 +1919,7 @@ export class TodoListTool extends ToolBase {
             }
             
             // Fallback: open in browser tab
-            const fallbackUrl = '../src/kanban-window.html';
+            const fallbackUrl = `../src/kanban-window.html${query}`;
             window.open(fallbackUrl, '_blank', 'width=1000,height=700');
         }
     }
@@ -773,6 +1927,10 @@ export class TodoListTool extends ToolBase {
     // Override ToolBase destroy method
     async destroy() {
         await this.saveTodos(); // Save before destroying
+        this.todoSync.stop();
+        this.history.stop();
+        if (this.reminders) this.reminders.stop();
+        if (this.historyKeyHandler) document.removeEventListener('keydown', this.historyKeyHandler);
         super.destroy(); // Call parent destroy
     }
 }
\ No newline at end of file
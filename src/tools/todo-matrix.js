@@ -0,0 +1,143 @@
+/**
+ * Todo Matrix Module
+ * Sorts open items into the urgent/important (Eisenhower) quadrants
+ * Usage: import { MATRIX_QUADRANTS, buildMatrix, moveItemToQuadrant } from './todo-matrix.js';
+ *
+ * An item is urgent when it is overdue or due within settings todos.urgentWithinDays days.
+ * It is important when item.important says so; without that flag, when its priority (or
+ * its list's) is high. Moving an item between quadrants rewrites those fields: priority
+ * and the explicit flag for importance, the due date for urgency.
+ */
+
+import { settings } from './settings.js';
+import { getActiveLists } from './todo-archive.js';
+import { parseDateKey, toDateKey } from './todo-recurrence.js';
+
+export const MATRIX_QUADRANTS = [
+    { id: 'do', name: 'Do First', description: 'Urgent and important', icon: 'iconoir-flash', urgent: true, important: true },
+    { id: 'schedule', name: 'Schedule', description: 'Important, not urgent', icon: 'iconoir-calendar', urgent: false, important: true },
+    { id: 'delegate', name: 'Delegate', description: 'Urgent, not important', icon: 'iconoir-share-android', urgent: true, important: false },
+    { id: 'eliminate', name: 'Later', description: 'Neither urgent nor important', icon: 'iconoir-archive', urgent: false, important: false }
+];
+
+// Quadrants per row on the board (MATRIX_QUADRANTS is in reading order)
+export const MATRIX_GRID_WIDTH = 2;
+export const URGENCY_THRESHOLDS = [0, 1, 2, 3, 7, 14];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Urgency threshold from settings
+ * @returns {number} Days ahead (0 = due today or overdue)
+ */
+export function getUrgencyThreshold() {
+    const days = parseInt(settings.get('todos.urgentWithinDays'), 10);
+    return Number.isInteger(days) && days >= 0 ? days : 2;
+}
+
+/**
+ * Change the urgency threshold
+ * @param {number} days - Days ahead
+ */
+export async function setUrgencyThreshold(days) {
+    await settings.set('todos.urgentWithinDays', days);
+}
+
+/**
+ * Check whether an item is urgent
+ * @param {Object} item - Todo item
+ * @param {number} days - Urgency threshold
+ * @param {Date} [now] - Reference time
+ * @returns {boolean} True if due within the threshold or overdue
+ */
+export function isItemUrgent(item, days, now = new Date()) {
+    const due = parseDateKey(item.dueDate);
+    if (!due) return false;
+
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    return Math.round((due - today) / DAY_MS) <= days;
+}
+
+/**
+ * Check whether an item is important
+ * @param {Object} list - List owning the item
+ * @param {Object} item - Todo item
+ * @returns {boolean} The explicit flag, or true for high priority
+ */
+export function isItemImportant(list, item) {
+    if (typeof item.important === 'boolean') return item.important;
+    return (item.priority || list.priority) === 'high';
+}
+
+/**
+ * Quadrant of an item
+ * @param {Object} list - List owning the item
+ * @param {Object} item - Todo item
+ * @param {number} days - Urgency threshold
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Entry of MATRIX_QUADRANTS
+ */
+export function getItemQuadrant(list, item, days, now = new Date()) {
+    const urgent = isItemUrgent(item, days, now);
+    const important = isItemImportant(list, item);
+    return MATRIX_QUADRANTS.find(quadrant => quadrant.urgent === urgent && quadrant.important === important);
+}
+
+/**
+ * Group open items by quadrant, soonest due first
+ * @param {Object} lists - Lists map (archived lists are skipped)
+ * @param {number} days - Urgency threshold
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Quadrant ID -> Array of { list, item }
+ */
+export function buildMatrix(lists, days, now = new Date()) {
+    const matrix = Object.fromEntries(MATRIX_QUADRANTS.map(quadrant => [quadrant.id, []]));
+
+    Object.values(getActiveLists(lists)).forEach(list => {
+        Object.values(list.items || {}).forEach(item => {
+            if (item.status === 'done') return;
+            matrix[getItemQuadrant(list, item, days, now).id].push({ list, item });
+        });
+    });
+
+    Object.values(matrix).forEach(entries => entries.sort((a, b) =>
+        (a.item.dueDate || '~').localeCompare(b.item.dueDate || '~') ||
+        (a.item.position || 0) - (b.item.position || 0)
+    ));
+    return matrix;
+}
+
+/**
+ * Change an item's priority and due date so it lands in a quadrant
+ * Becoming important sets high priority and losing importance sets medium (items with an
+ * explicit importance flag have the flag flipped instead). Becoming urgent makes the item
+ * due today; losing urgency moves its due date to the first day past the threshold.
+ * Fields that already fit are left alone.
+ * @param {Object} list - List owning the item
+ * @param {Object} item - Todo item (mutated)
+ * @param {string} quadrantId - Target quadrant ID
+ * @param {number} days - Urgency threshold
+ * @param {Date} [now] - Reference time
+ * @returns {Array<string>} Descriptions of the changes, e.g. ['priority high', 'due 2025-01-31']
+ */
+export function moveItemToQuadrant(list, item, quadrantId, days, now = new Date()) {
+    const target = MATRIX_QUADRANTS.find(quadrant => quadrant.id === quadrantId);
+    const changes = [];
+    if (!target) return changes;
+
+    // An explicit flag decides importance, so it is flipped instead of the priority
+    if (typeof item.important === 'boolean' && item.important !== target.important) {
+        item.important = target.important;
+        changes.push(target.important ? 'marked important' : 'marked not important');
+    } else if (isItemImportant(list, item) !== target.important) {
+        item.priority = target.important ? 'high' : 'medium';
+        changes.push(`priority ${item.priority}`);
+    }
+
+    if (isItemUrgent(item, days, now) !== target.urgent) {
+        const offset = target.urgent ? 0 : days + 1;
+        item.dueDate = toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset));
+        changes.push(`due ${item.dueDate}`);
+    }
+
+    return changes;
+}
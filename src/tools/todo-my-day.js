@@ -0,0 +1,140 @@
+/**
+ * Todo My Day Module
+ * Daily plan of the items picked to work on today
+ * Usage: import { getMyDayItems, getMyDaySuggestions, addToMyDay } from './todo-my-day.js';
+ *
+ * An item is in My Day while item.myDay holds today's date key (YYYY-MM-DD), so the plan
+ * syncs with the rest of ucanduit-todos.json and empties itself at midnight. Unfinished
+ * items planned on an earlier day come back as "carried over" suggestions, ahead of
+ * overdue, due today and high priority items. Settings todos.myDayPlannedOn remembers
+ * the last day that was planned, so each window only asks once a day.
+ */
+
+import { settings } from './settings.js';
+import { getActiveLists } from './todo-archive.js';
+import { getItemDueState } from './todo-reminders.js';
+import { toDateKey } from './todo-recurrence.js';
+
+// Why an item is suggested, in suggestion order
+export const MY_DAY_REASONS = {
+    carried: 'Carried over',
+    overdue: 'Overdue',
+    today: 'Due today',
+    high: 'High priority'
+};
+
+const PRIORITY_ORDER = ['high', 'medium', 'low'];
+
+/**
+ * Check whether an item is planned for today
+ * @param {Object} item - Todo item
+ * @param {Date} [now] - Reference time
+ * @returns {boolean} True if the item is in today's My Day
+ */
+export function isInMyDay(item, now = new Date()) {
+    return item.myDay === toDateKey(now);
+}
+
+/**
+ * Today's planned items: open items first, then by priority and due date
+ * @param {Object} lists - Lists map (archived lists are skipped)
+ * @param {Date} [now] - Reference time
+ * @returns {Array<Object>} Array of { list, item }
+ */
+export function getMyDayItems(lists, now = new Date()) {
+    const entries = [];
+    Object.values(getActiveLists(lists)).forEach(list => {
+        Object.values(list.items || {}).forEach(item => {
+            if (isInMyDay(item, now)) entries.push({ list, item });
+        });
+    });
+
+    return entries.sort((a, b) =>
+        (a.item.status === 'done') - (b.item.status === 'done') ||
+        getPriorityRank(a) - getPriorityRank(b) ||
+        getDueKey(a.item).localeCompare(getDueKey(b.item))
+    );
+}
+
+/**
+ * Items worth planning for today, each listed once under its first reason
+ * @param {Object} lists - Lists map (archived lists are skipped)
+ * @param {Date} [now] - Reference time
+ * @returns {Array<Object>} Array of { list, item, reason } (reason is a key of MY_DAY_REASONS)
+ */
+export function getMyDaySuggestions(lists, now = new Date()) {
+    const today = toDateKey(now);
+    const reasonOrder = Object.keys(MY_DAY_REASONS);
+    const suggestions = [];
+
+    Object.values(getActiveLists(lists)).forEach(list => {
+        Object.values(list.items || {}).forEach(item => {
+            if (item.status === 'done' || item.myDay === today) return;
+
+            const reason = getSuggestionReason(list, item, today, now);
+            if (reason) suggestions.push({ list, item, reason });
+        });
+    });
+
+    return suggestions.sort((a, b) =>
+        reasonOrder.indexOf(a.reason) - reasonOrder.indexOf(b.reason) ||
+        getDueKey(a.item).localeCompare(getDueKey(b.item)) ||
+        getPriorityRank(a) - getPriorityRank(b)
+    );
+}
+
+/**
+ * Plan an item for today
+ * @param {Object} item - Todo item (mutated)
+ * @param {Date} [now] - Reference time
+ */
+export function addToMyDay(item, now = new Date()) {
+    item.myDay = toDateKey(now);
+}
+
+/**
+ * Take an item out of the plan
+ * @param {Object} item - Todo item (mutated)
+ */
+export function removeFromMyDay(item) {
+    item.myDay = null;
+}
+
+/**
+ * Check whether today still has to be planned
+ * @param {Date} [now] - Reference time
+ * @returns {boolean} True until markDayPlanned has run today
+ */
+export function needsDayPlanning(now = new Date()) {
+    return settings.get('todos.myDayPlannedOn') !== toDateKey(now);
+}
+
+/**
+ * Remember that today has been planned (or skipped)
+ * @param {Date} [now] - Reference time
+ */
+export async function markDayPlanned(now = new Date()) {
+    await settings.set('todos.myDayPlannedOn', toDateKey(now));
+}
+
+function getSuggestionReason(list, item, today, now) {
+    if (item.myDay && item.myDay < today) return 'carried';
+
+    const dueState = getItemDueState(item, now);
+    if (dueState === 'overdue') return 'overdue';
+    if (dueState === 'today') return 'today';
+
+    // Item priority (from quick add) overrides the list's priority
+    if ((item.priority || list.priority) === 'high') return 'high';
+    return null;
+}
+
+function getPriorityRank({ list, item }) {
+    const rank = PRIORITY_ORDER.indexOf(item.priority || list.priority);
+    return rank === -1 ? PRIORITY_ORDER.length : rank;
+}
+
+// Sorts undated items last
+function getDueKey(item) {
+    return item.dueDate ? `${item.dueDate} ${item.dueTime || ''}` : '~';
+}
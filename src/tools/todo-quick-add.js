@@ -0,0 +1,412 @@
+/**
+ * Todo Quick Add Module
+ * Natural-language parsing for the todo quick-add input and the kanban item text field
+ * Usage: import { parseQuickAdd, renderQuickAddChips } from './todo-quick-add.js';
+ *
+ * Recognised tokens (anywhere in the text, first occurrence of each kind wins):
+ *   !high !med !low          item priority
+ *   #ListName                target list (matched by name, ignoring case and spaces)
+ *   today, tomorrow,         due date; weekdays (full names or sun, mon, tue(s), wed,
+ *   on fri, due monday,      thu(r)(s), fri, sat) only count after on, due, by or next,
+ *   next week, in 3 days,    so words like "sun cream" stay text; "next fri" is a week
+ *   2026-05-01               after the coming Friday
+ *   3pm, 15:30, at 9:15am    due time (implies today when no date is given)
+ *   every monday, every day, every weekday, every 2 weeks, every month
+ *   ~25m ~1h ~1h30m          time estimate in minutes
+ * Anything unrecognised, including #names that match no list, stays in the item text.
+ */
+
+import { describeRecurrence, getNextDueDate, normalizeRecurrence, parseDateKey, toDateKey } from './todo-recurrence.js';
+
+const PRIORITY_TOKENS = {
+    high: 'high', h: 'high', '1': 'high',
+    medium: 'medium', med: 'medium', m: 'medium', '2': 'medium',
+    low: 'low', l: 'low', '3': 'low'
+};
+
+// Weekday spellings recognised, with their getDay() index
+const WEEKDAYS = {
+    sunday: 0, sun: 0,
+    monday: 1, mon: 1,
+    tuesday: 2, tue: 2, tues: 2,
+    wednesday: 3, wed: 3,
+    thursday: 4, thu: 4, thur: 4, thurs: 4,
+    friday: 5, fri: 5,
+    saturday: 6, sat: 6
+};
+
+// Words that put the following weekday in a date context
+const DATE_PREFIXES = ['on', 'due', 'by'];
+
+/**
+ * Parse quick-add text into an item description and its attributes
+ * @param {string} input - Raw text as typed
+ * @param {Object} [lists] - Lists map, used to resolve #ListName
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { text, priority, listId, dueDate, dueTime, recurrence, estimate }
+ */
+export function parseQuickAdd(input, lists = {}, now = new Date()) {
+    const words = (input || '').trim().split(/\s+/).filter(Boolean);
+    const result = {
+        text: '',
+        priority: null,
+        listId: null,
+        dueDate: null,
+        dueTime: null,
+        recurrence: null,
+        estimate: null
+    };
+    const rest = [];
+
+    for (let i = 0; i < words.length;) {
+        const consumed = matchToken(words, i, result, lists, now);
+        if (consumed > 0) {
+            i += consumed;
+        } else {
+            rest.push(words[i]);
+            i++;
+        }
+    }
+
+    // A repeating item without a date starts at its first occurrence from today;
+    // interval rules have no fixed days, so they start today
+    if (result.recurrence && !result.dueDate) {
+        result.dueDate = result.recurrence.frequency === 'interval' ?
+            toDateKey(now) :
+            getNextDueDate(result.recurrence, toDateKey(addDays(startOfDay(now), -1)), now);
+    }
+    // A bare time means today
+    if (result.dueTime && !result.dueDate) {
+        result.dueDate = toDateKey(now);
+    }
+
+    result.text = rest.join(' ');
+    return result;
+}
+
+/**
+ * Check whether a parse found anything besides plain text
+ * @param {Object} parsed - Result of parseQuickAdd
+ * @returns {boolean} True if any attribute was recognised
+ */
+export function hasQuickAddTokens(parsed) {
+    return Boolean(parsed.priority || parsed.listId || parsed.dueDate || parsed.dueTime ||
+        parsed.recurrence || parsed.estimate);
+}
+
+/**
+ * Preview chips describing what was parsed
+ * @param {Object} parsed - Result of parseQuickAdd
+ * @param {Object} [lists] - Lists map, for the target list's name
+ * @returns {string} HTML for the chip row contents ('' when nothing was parsed)
+ */
+export function renderQuickAddChips(parsed, lists = {}) {
+    const chips = [];
+
+    if (parsed.listId && lists[parsed.listId]) {
+        chips.push(renderChip('list', 'iconoir-list', lists[parsed.listId].name));
+    }
+    if (parsed.priority) {
+        chips.push(renderChip(`priority ${parsed.priority}`, 'iconoir-triangle-flag', `${capitalize(parsed.priority)} priority`));
+    }
+    if (parsed.dueDate) {
+        const time = parsed.dueTime ? ` ${formatDueTime(parsed.dueTime)}` : '';
+        chips.push(renderChip('due', 'iconoir-calendar', `${formatQuickAddDate(parsed.dueDate)}${time}`));
+    }
+    if (parsed.recurrence) {
+        chips.push(renderChip('recurrence', 'iconoir-repeat', describeRecurrence(parsed.recurrence)));
+    }
+    if (parsed.estimate) {
+        chips.push(renderChip('estimate', 'iconoir-timer', formatEstimate(parsed.estimate)));
+    }
+
+    return chips.join('');
+}
+
+/**
+ * Format a stored HH:MM due time for display
+ * @param {string} dueTime - 24-hour time
+ * @returns {string} e.g. "3:30 PM"
+ */
+export function formatDueTime(dueTime) {
+    const match = /^(\d{2}):(\d{2})$/.exec(dueTime || '');
+    if (!match) return '';
+    const hours = Number(match[1]);
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${match[2]} ${suffix}`;
+}
+
+/**
+ * Format an estimate in minutes
+ * @param {number} minutes - Estimate
+ * @returns {string} e.g. "25m", "1h 30m"
+ */
+export function formatEstimate(minutes) {
+    if (!minutes) return '';
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    if (hours === 0) return `${mins}m`;
+    return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
+}
+
+/**
+ * Parse an estimate such as "25m", "1h30m", "1.5h" or a bare number of minutes
+ * @param {string} value - Estimate without the leading ~
+ * @returns {number|null} Minutes, or null if the value is not an estimate
+ */
+export function parseEstimate(value) {
+    const match = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m(?:in|ins)?)?$/.exec(value);
+    if (match && (match[1] || match[2])) {
+        const minutes = Math.round(Number(match[1] || 0) * 60) + Number(match[2] || 0);
+        return minutes > 0 ? minutes : null;
+    }
+    // A bare number is minutes
+    if (/^\d+$/.test(value) && Number(value) > 0) {
+        return Number(value);
+    }
+    return null;
+}
+
+function matchToken(words, i, result, lists, now) {
+    const word = words[i];
+    const lower = word.toLowerCase();
+
+    // !priority
+    const priorityMatch = /^!(\w+)$/.exec(lower);
+    if (priorityMatch && PRIORITY_TOKENS[priorityMatch[1]] && !result.priority) {
+        result.priority = PRIORITY_TOKENS[priorityMatch[1]];
+        return 1;
+    }
+
+    // #ListName
+    if (word.length > 1 && word[0] === '#' && !result.listId) {
+        const listId = findListByName(lists, word.slice(1));
+        if (listId) {
+            result.listId = listId;
+            return 1;
+        }
+        return 0;
+    }
+
+    // ~estimate
+    if (word[0] === '~' && !result.estimate) {
+        const estimate = parseEstimate(lower.slice(1));
+        if (estimate) {
+            result.estimate = estimate;
+            return 1;
+        }
+        return 0;
+    }
+
+    // every ...
+    if (lower === 'every' && !result.recurrence) {
+        return matchRecurrence(words, i + 1, result, now);
+    }
+
+    // Due date, optionally followed by a time
+    if (!result.dueDate) {
+        const hasPrefix = DATE_PREFIXES.includes(lower);
+        const start = hasPrefix ? i + 1 : i;
+        const dateMatch = matchDate(words, start, now, hasPrefix);
+        if (dateMatch) {
+            result.dueDate = toDateKey(dateMatch.date);
+            const consumed = start - i + dateMatch.consumed;
+            return consumed + matchTime(words, i + consumed, result);
+        }
+    }
+
+    // Time on its own
+    if (!result.dueTime) {
+        return matchTime(words, i, result);
+    }
+
+    return 0;
+}
+
+// A bare weekday only counts as a date after a prefix such as "on" (allowWeekday)
+function matchDate(words, i, now, allowWeekday) {
+    if (i >= words.length) return null;
+
+    const today = startOfDay(now);
+    const lower = stripPunctuation(words[i]);
+    const nextWord = i + 1 < words.length ? stripPunctuation(words[i + 1]) : '';
+
+    if (lower === 'today' || lower === 'tod') {
+        return { date: today, consumed: 1 };
+    }
+    if (lower === 'tomorrow' || lower === 'tmr' || lower === 'tmrw') {
+        return { date: addDays(today, 1), consumed: 1 };
+    }
+
+    if (lower === 'next') {
+        if (nextWord === 'week') {
+            return { date: nextWeekday(today, 1), consumed: 2 };
+        }
+        const weekday = parseWeekday(nextWord);
+        if (weekday >= 0) {
+            return { date: addDays(nextWeekday(today, weekday), 7), consumed: 2 };
+        }
+        return null;
+    }
+
+    const weekday = allowWeekday ? parseWeekday(lower) : -1;
+    if (weekday >= 0) {
+        return { date: nextWeekday(today, weekday), consumed: 1 };
+    }
+
+    // in 3 days / in 2 weeks
+    if (lower === 'in' && /^\d+$/.test(nextWord) && i + 2 < words.length) {
+        const amount = Number(nextWord);
+        const unit = stripPunctuation(words[i + 2]);
+        if (/^days?$/.test(unit)) return { date: addDays(today, amount), consumed: 3 };
+        if (/^weeks?$/.test(unit)) return { date: addDays(today, amount * 7), consumed: 3 };
+        return null;
+    }
+
+    // ISO date
+    if (/^\d{4}-\d{2}-\d{2}$/.test(lower)) {
+        const date = parseDateKey(lower);
+        if (date && !isNaN(date)) return { date, consumed: 1 };
+    }
+
+    return null;
+}
+
+function matchTime(words, i, result) {
+    if (i >= words.length) return 0;
+
+    const hasAt = stripPunctuation(words[i]) === 'at';
+    const index = hasAt ? i + 1 : i;
+    if (index >= words.length) return 0;
+
+    const time = parseTime(stripPunctuation(words[index]));
+    if (!time) return 0;
+
+    result.dueTime = time;
+    return hasAt ? 2 : 1;
+}
+
+function matchRecurrence(words, i, result, now) {
+    if (i >= words.length) return 0;
+
+    const lower = stripPunctuation(words[i]);
+    const unit = i + 1 < words.length ? stripPunctuation(words[i + 1]) : '';
+    let rule = null;
+    let consumed = 1;
+
+    if (lower === 'day') {
+        rule = { frequency: 'daily' };
+    } else if (lower === 'weekday' || lower === 'weekdays') {
+        rule = { frequency: 'weekdays' };
+    } else if (lower === 'week') {
+        rule = { frequency: 'weekly', days: [now.getDay()] };
+    } else if (lower === 'month') {
+        rule = { frequency: 'monthly', dayOfMonth: now.getDate() };
+    } else if (/^\d+$/.test(lower) && /^(days?|weeks?)$/.test(unit)) {
+        const interval = Number(lower) * (unit.startsWith('week') ? 7 : 1);
+        rule = { frequency: 'interval', interval };
+        consumed = 2;
+    } else {
+        // every mon, wed and fri
+        const days = [];
+        let j = i;
+        while (j < words.length) {
+            const word = stripPunctuation(words[j]);
+            const weekday = parseWeekday(word);
+            if (weekday >= 0) {
+                days.push(weekday);
+            } else if (!(word === 'and' && days.length > 0)) {
+                break;
+            }
+            j++;
+        }
+        if (days.length > 0) {
+            rule = { frequency: 'weekly', days };
+            consumed = j - i;
+        }
+    }
+
+    if (!rule) return 0;
+    result.recurrence = normalizeRecurrence(rule);
+    return consumed + 1;
+}
+
+function parseTime(word) {
+    let match = /^(\d{1,2})(?::(\d{2}))?(am|pm)$/.exec(word);
+    if (match) {
+        let hours = Number(match[1]);
+        const minutes = Number(match[2] || 0);
+        if (hours < 1 || hours > 12 || minutes > 59) return null;
+        if (match[3] === 'pm' && hours !== 12) hours += 12;
+        if (match[3] === 'am' && hours === 12) hours = 0;
+        return formatTime(hours, minutes);
+    }
+
+    match = /^(\d{1,2}):(\d{2})$/.exec(word);
+    if (match) {
+        const hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        if (hours > 23 || minutes > 59) return null;
+        return formatTime(hours, minutes);
+    }
+
+    return null;
+}
+
+function parseWeekday(word) {
+    return Object.prototype.hasOwnProperty.call(WEEKDAYS, word) ? WEEKDAYS[word] : -1;
+}
+
+function findListByName(lists, name) {
+    const wanted = normalizeName(name);
+    if (!wanted) return null;
+
+    const entries = Object.values(lists);
+    const exact = entries.find(list => normalizeName(list.name) === wanted);
+    if (exact) return exact.id;
+
+    // Fall back to a unique prefix so long names can be abbreviated
+    const prefixed = entries.filter(list => normalizeName(list.name).startsWith(wanted));
+    return prefixed.length === 1 ? prefixed[0].id : null;
+}
+
+function normalizeName(name) {
+    return (name || '').toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+function stripPunctuation(word) {
+    return (word || '').toLowerCase().replace(/[,.;]+$/, '');
+}
+
+function nextWeekday(today, weekday) {
+    const offset = (weekday - today.getDay() + 7) % 7 || 7;
+    return addDays(today, offset);
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+    const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+function formatTime(hours, minutes) {
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function formatQuickAddDate(dateKey) {
+    const date = parseDateKey(dateKey);
+    if (!date) return '';
+    return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function renderChip(type, icon, label) {
+    return `<span class="quick-add-chip ${type}"><i class="${icon}"></i> ${label}</span>`;
+}
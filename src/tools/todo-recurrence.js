@@ -0,0 +1,206 @@
+/**
+ * Todo Recurrence Module
+ * Repeating todo items: completing one occurrence creates the next with a new due date
+ * Usage: import { completeRecurringItem, describeRecurrence } from './todo-recurrence.js';
+ *
+ * Schema: item.recurrence = {
+ *             frequency: 'daily' | 'weekdays' | 'weekly' | 'monthly' | 'interval',
+ *             days: [0-6],       // weekly: days of week, 0 = Sunday
+ *             dayOfMonth: 1-31,  // monthly: clamped to the month's length
+ *             interval: N        // interval: every N days
+ *         }
+ *         item.recurrenceHistory = [{ itemId, dueDate, completedAt }] (oldest first)
+ *         item.nextOccurrenceId = ID of the occurrence created when this one was completed
+ */
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekdays', 'weekly', 'monthly', 'interval'];
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_STEPS = 1000;
+
+/**
+ * Parse a stored YYYY-MM-DD due date as a local date
+ * @param {string} dateKey - Date string from a date input
+ * @returns {Date|null} Local midnight, or null if invalid
+ */
+export function parseDateKey(dateKey) {
+    if (!dateKey) return null;
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateKey);
+    if (!match) return null;
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time (the format date inputs store)
+ * @param {Date} date - Date to format
+ * @returns {string} Date key
+ */
+export function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Clean up a recurrence rule, filling defaults
+ * @param {Object|null} recurrence - Rule as entered or stored
+ * @returns {Object|null} Valid rule, or null for "does not repeat"
+ */
+export function normalizeRecurrence(recurrence) {
+    if (!recurrence || !RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) return null;
+
+    const rule = { frequency: recurrence.frequency };
+
+    if (rule.frequency === 'weekly') {
+        const days = (recurrence.days || [])
+            .map(Number)
+            .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+        rule.days = days.length > 0 ? [...new Set(days)].sort() : [new Date().getDay()];
+    } else if (rule.frequency === 'monthly') {
+        const dayOfMonth = parseInt(recurrence.dayOfMonth, 10);
+        rule.dayOfMonth = dayOfMonth >= 1 && dayOfMonth <= 31 ? dayOfMonth : new Date().getDate();
+    } else if (rule.frequency === 'interval') {
+        const interval = parseInt(recurrence.interval, 10);
+        rule.interval = interval >= 1 ? interval : 1;
+    }
+
+    return rule;
+}
+
+/**
+ * Human-readable summary of a rule
+ * @param {Object|null} recurrence - Recurrence rule
+ * @returns {string} e.g. "Weekly on Mon, Fri"
+ */
+export function describeRecurrence(recurrence) {
+    const rule = normalizeRecurrence(recurrence);
+    if (!rule) return 'Does not repeat';
+
+    switch (rule.frequency) {
+        case 'daily':
+            return 'Daily';
+        case 'weekdays':
+            return 'Every weekday';
+        case 'weekly':
+            return `Weekly on ${rule.days.map(day => DAY_NAMES[day]).join(', ')}`;
+        case 'monthly':
+            return `Monthly on day ${rule.dayOfMonth}`;
+        case 'interval':
+            return rule.interval === 1 ? 'Daily' : `Every ${rule.interval} days`;
+        default:
+            return 'Does not repeat';
+    }
+}
+
+/**
+ * The first date strictly after `date` that matches the rule
+ * @param {Object} rule - Normalized recurrence rule
+ * @param {Date} date - Reference date
+ * @returns {Date} Next matching date
+ */
+function stepRecurrence(rule, date) {
+    const next = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+    switch (rule.frequency) {
+        case 'daily':
+            next.setDate(next.getDate() + 1);
+            return next;
+
+        case 'interval':
+            next.setDate(next.getDate() + rule.interval);
+            return next;
+
+        case 'weekdays':
+            do {
+                next.setDate(next.getDate() + 1);
+            } while (next.getDay() === 0 || next.getDay() === 6);
+            return next;
+
+        case 'weekly':
+            do {
+                next.setDate(next.getDate() + 1);
+            } while (!rule.days.includes(next.getDay()));
+            return next;
+
+        case 'monthly': {
+            // Try this month first, then the following one, clamping to short months
+            for (let offset = 0; offset <= 1; offset++) {
+                const year = date.getFullYear();
+                const month = date.getMonth() + offset;
+                const lastDay = new Date(year, month + 1, 0).getDate();
+                const candidate = new Date(year, month, Math.min(rule.dayOfMonth, lastDay));
+                if (candidate > date) return candidate;
+            }
+            return next;
+        }
+
+        default:
+            next.setDate(next.getDate() + 1);
+            return next;
+    }
+}
+
+/**
+ * Due date for the occurrence after one due on `dueDate`
+ * Occurrences completed late skip ahead so the next one is never already overdue.
+ * @param {Object} recurrence - Recurrence rule
+ * @param {string|null} dueDate - Current occurrence's due date (YYYY-MM-DD)
+ * @param {Date} [today] - Reference "today" (defaults to now)
+ * @returns {string|null} Next due date (YYYY-MM-DD), or null if the rule is invalid
+ */
+export function getNextDueDate(recurrence, dueDate, today = new Date()) {
+    const rule = normalizeRecurrence(recurrence);
+    if (!rule) return null;
+
+    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    let next = stepRecurrence(rule, parseDateKey(dueDate) || todayStart);
+
+    for (let steps = 0; next < todayStart && steps < MAX_STEPS; steps++) {
+        next = stepRecurrence(rule, next);
+    }
+
+    return toDateKey(next);
+}
+
+/**
+ * Create the next occurrence of a recurring item that was just completed
+ * The completed item stays in the list as a record; its history moves to the new occurrence.
+ * @param {Object} list - List owning the item
+ * @param {Object} item - Completed item
+ * @param {Function} generateId - ID generator used by the calling window
+ * @returns {Object|null} The new occurrence, or null if none was created
+ */
+export function completeRecurringItem(list, item, generateId) {
+    const rule = normalizeRecurrence(item.recurrence);
+    if (!rule || item.status !== 'done') return null;
+
+    // Re-completing an occurrence that already spawned its successor does nothing
+    if (item.nextOccurrenceId && list.items[item.nextOccurrenceId]) return null;
+
+    const nextId = generateId();
+    const history = [
+        ...(item.recurrenceHistory || []),
+        { itemId: item.id, dueDate: item.dueDate || null, completedAt: item.completedAt || Date.now() }
+    ];
+
+    const nextItem = {
+        ...JSON.parse(JSON.stringify(item)),
+        id: nextId,
+        status: 'todo',
+        dueDate: getNextDueDate(rule, item.dueDate),
+        position: Object.keys(list.items).length,
+        linkedItems: [],
+        subtasks: (item.subtasks || []).map(subtask => ({ ...subtask, done: false, completedAt: null })),
+        recurrence: rule,
+        recurrenceHistory: history,
+        nextOccurrenceId: null,
+        myDay: null,
+        timeSpent: null, // tracked focus time belongs to the finished occurrence
+        createdAt: Date.now(),
+        completedAt: null
+    };
+
+    list.items[nextId] = nextItem;
+    item.nextOccurrenceId = nextId;
+    return nextItem;
+}
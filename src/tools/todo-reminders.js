@@ -0,0 +1,206 @@
+/**
+ * Todo Reminders Module
+ * Due/overdue detection for lists and items, plus a scheduler that raises desktop
+ * notifications and status ticker messages when items fall due
+ * Usage: import { TodoReminders, getItemDueState } from './todo-reminders.js';
+ */
+
+import { parseDateKey } from './todo-recurrence.js';
+import { settings } from './settings.js';
+
+const NOTIFIED_STORAGE_KEY = 'ucanduit-todo-reminders';
+
+/**
+ * Classify a YYYY-MM-DD due date relative to today
+ * @param {string|null} dueDate - Due date
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} 'overdue', 'today', 'upcoming', or null without a due date
+ */
+export function getDueState(dueDate, now = new Date()) {
+    const due = parseDateKey(dueDate);
+    if (!due) return null;
+
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (due < today) return 'overdue';
+    if (due.getTime() === today.getTime()) return 'today';
+    return 'upcoming';
+}
+
+/**
+ * Due state of an item; finished items are never due
+ * @param {Object} item - Todo item
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} Due state
+ */
+export function getItemDueState(item, now = new Date()) {
+    if (item.status === 'done') return null;
+    return getDueState(item.dueDate, now);
+}
+
+/**
+ * Due state of a list; lists whose items are all done are never due
+ * @param {Object} list - Todo list
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} Due state
+ */
+export function getListDueState(list, now = new Date()) {
+    const items = Object.values(list.items || {});
+    if (items.length > 0 && items.every(item => item.status === 'done')) return null;
+    return getDueState(list.dueDate, now);
+}
+
+/**
+ * CSS class for a due state ('overdue' / 'due-today'), or '' when nothing is due
+ * @param {string|null} state - Due state
+ * @returns {string} Class name
+ */
+export function getDueClass(state) {
+    if (state === 'overdue') return 'overdue';
+    if (state === 'today') return 'due-today';
+    return '';
+}
+
+/**
+ * Items that are due today or overdue, most overdue first
+ * @param {Object} lists - Lists map
+ * @param {Date} [now] - Reference time
+ * @returns {Array<Object>} Array of { list, item, state }
+ */
+export function collectDueItems(lists, now = new Date()) {
+    const due = [];
+
+    Object.values(lists).forEach(list => {
+        Object.values(list.items || {}).forEach(item => {
+            const state = getItemDueState(item, now);
+            if (state === 'overdue' || state === 'today') {
+                due.push({ list, item, state });
+            }
+        });
+    });
+
+    return due.sort((a, b) => a.item.dueDate.localeCompare(b.item.dueDate));
+}
+
+/**
+ * Periodically checks todo data and announces newly due or overdue items
+ * Each item is announced once per state, and remembered across restarts.
+ */
+export class TodoReminders {
+    /**
+     * @param {Function} getLists - Returns the current lists map
+     * @param {number} [interval=60000] - Check interval in milliseconds
+     */
+    constructor(getLists, interval = 60000) {
+        this.getLists = getLists;
+        this.interval = interval;
+        this.intervalId = null;
+        this.notified = this.loadNotified();
+    }
+
+    start() {
+        if (this.intervalId) return;
+
+        this.requestPermission();
+        this.check();
+        this.intervalId = setInterval(() => this.check(), this.interval);
+        console.log('⏰ Todo reminders started');
+    }
+
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    check() {
+        const dueItems = collectDueItems(this.getLists());
+        const keys = new Set(dueItems.map(entry => this.getKey(entry)));
+        const fresh = dueItems.filter(entry => !this.notified[this.getKey(entry)]);
+
+        // Forget items that were completed or rescheduled so they can be announced again later
+        Object.keys(this.notified).forEach(key => {
+            if (!keys.has(key)) delete this.notified[key];
+        });
+        fresh.forEach(entry => {
+            this.notified[this.getKey(entry)] = Date.now();
+        });
+        this.saveNotified();
+
+        if (fresh.length === 0) return;
+
+        const overdue = fresh.filter(entry => entry.state === 'overdue');
+        const message = this.describe(fresh);
+
+        if (window.updateStatus) {
+            window.updateStatus(message.ticker, overdue.length > 0 ? 'danger' : 'warning', 5000);
+        }
+        this.notify(message.title, message.body);
+    }
+
+    describe(entries) {
+        if (entries.length === 1) {
+            const { list, item, state } = entries[0];
+            const when = state === 'overdue' ? 'is overdue' : 'is due today';
+            return {
+                title: state === 'overdue' ? '⏰ Todo overdue' : '📅 Todo due today',
+                body: `"${item.text}" in ${list.name} ${when}`,
+                ticker: `Todo ${state === 'overdue' ? 'overdue' : 'due'}: ${item.text}`
+            };
+        }
+
+        const overdueCount = entries.filter(entry => entry.state === 'overdue').length;
+        const todayCount = entries.length - overdueCount;
+        const parts = [];
+        if (overdueCount > 0) parts.push(`${overdueCount} overdue`);
+        if (todayCount > 0) parts.push(`${todayCount} due today`);
+
+        return {
+            title: '📅 Todos need attention',
+            body: entries.slice(0, 5).map(({ item }) => `• ${item.text}`).join('\n'),
+            ticker: `Todos: ${parts.join(', ')}`
+        };
+    }
+
+    notify(title, body) {
+        if (settings.get('ui.showNotifications') === false) return;
+
+        try {
+            if ('Notification' in window && Notification.permission === 'granted') {
+                new Notification(title, { body });
+            }
+        } catch (error) {
+            console.log('Could not show todo reminder notification:', error);
+        }
+    }
+
+    requestPermission() {
+        try {
+            if ('Notification' in window && Notification.permission === 'default') {
+                Notification.requestPermission().catch(() => {});
+            }
+        } catch (error) {
+            console.log('Notification permission unavailable:', error);
+        }
+    }
+
+    getKey({ item, state }) {
+        return `${item.id}:${item.dueDate}:${state}`;
+    }
+
+    loadNotified() {
+        try {
+            return JSON.parse(localStorage.getItem(NOTIFIED_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveNotified() {
+        try {
+            localStorage.setItem(NOTIFIED_STORAGE_KEY, JSON.stringify(this.notified));
+        } catch (error) {
+            console.warn('Could not save todo reminder state:', error);
+        }
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * Todo Search Module
+ * Fuzzy search over list names and item text with status, priority, due and tag filters
+ * Usage: import { searchTodos, highlightMatches } from './todo-search.js';
+ *
+ * Filters: { status: 'todo'|'inprogress'|'done', priority: 'high'|'medium'|'low',
+ *            due: 'overdue'|'today'|'week'|'none', tag: <tag ID in item.tags> }
+ * Empty filter values match everything. Item priority falls back to the list's priority.
+ * The status filter matches built-in stages, so items in custom columns count under the
+ * stage their column belongs to (see getItemStage).
+ */
+
+import { getItemStage } from './todo-columns.js';
+import { getDueState, getItemDueState } from './todo-reminders.js';
+import { parseDateKey } from './todo-recurrence.js';
+
+export const DUE_FILTERS = {
+    overdue: 'Overdue',
+    today: 'Due today',
+    week: 'Due this week',
+    none: 'No due date'
+};
+
+const MAX_RESULTS = 50;
+
+/**
+ * Match one search term against text
+ * Substrings score highest; otherwise the term's characters must appear in order.
+ * @param {string} term - Lowercase search term without spaces
+ * @param {string} text - Text to search
+ * @returns {Object|null} { score, indices } or null if the term does not match
+ */
+export function matchTerm(term, text) {
+    const lower = (text || '').toLowerCase();
+    const substringIndex = lower.indexOf(term);
+
+    if (substringIndex !== -1) {
+        const atWordStart = substringIndex === 0 || /\W/.test(lower[substringIndex - 1]);
+        return {
+            score: 100 + term.length * 10 + (atWordStart ? 50 : 0) - Math.min(substringIndex, 50),
+            indices: Array.from(term, (_, offset) => substringIndex + offset)
+        };
+    }
+
+    const indices = [];
+    let score = 0;
+    let from = 0;
+    let streak = 0;
+
+    for (const char of term) {
+        const found = lower.indexOf(char, from);
+        if (found === -1) return null;
+
+        streak = found === from && indices.length > 0 ? streak + 1 : 0;
+        score += 1 + streak * 3;
+        if (found === 0 || /\W/.test(lower[found - 1])) score += 5;
+
+        indices.push(found);
+        from = found + 1;
+    }
+
+    // Penalise matches scattered across long text
+    const spread = indices[indices.length - 1] - indices[0] + 1;
+    return { score: score - Math.floor((spread - term.length) / 4), indices };
+}
+
+/**
+ * Match a whole query (every whitespace-separated term must match)
+ * @param {string} query - Search query
+ * @param {string} text - Text to search
+ * @returns {Object|null} { score, indices } or null if any term does not match
+ */
+export function fuzzyMatch(query, text) {
+    const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return { score: 0, indices: [] };
+
+    let score = 0;
+    const indices = new Set();
+    for (const term of terms) {
+        const match = matchTerm(term, text);
+        if (!match) return null;
+        score += match.score;
+        match.indices.forEach(index => indices.add(index));
+    }
+
+    return { score, indices: [...indices].sort((a, b) => a - b) };
+}
+
+/**
+ * Wrap the characters matched by the query in <mark> tags
+ * @param {string} text - Text to render
+ * @param {string} query - Search query
+ * @returns {string} HTML
+ */
+export function highlightMatches(text, query) {
+    const match = fuzzyMatch(query, text);
+    if (!match || match.indices.length === 0) return text;
+
+    const marked = new Set(match.indices);
+    let html = '';
+    let open = false;
+
+    Array.from(text).forEach((char, index) => {
+        if (marked.has(index) && !open) {
+            html += '<mark>';
+            open = true;
+        } else if (!marked.has(index) && open) {
+            html += '</mark>';
+            open = false;
+        }
+        html += char;
+    });
+
+    return open ? `${html}</mark>` : html;
+}
+
+/**
+ * Check whether any filter is set
+ * @param {Object} filters - Search filters
+ * @returns {boolean} True if at least one filter has a value
+ */
+export function hasActiveFilters(filters = {}) {
+    return Boolean(filters.status || filters.priority || filters.due || filters.tag);
+}
+
+/**
+ * Search lists and items
+ * Lists are matched by name and only appear for a non-empty query without item-only filters.
+ * @param {Object} lists - Lists map
+ * @param {string} query - Search query (may be empty when filters are set)
+ * @param {Object} [filters] - Search filters
+ * @param {Date} [now] - Reference time for due filters
+ * @returns {Array<Object>} Results { type: 'list'|'item', list, item, score }, best first
+ */
+export function searchTodos(lists, query, filters = {}, now = new Date()) {
+    const trimmed = (query || '').trim();
+    if (!trimmed && !hasActiveFilters(filters)) return [];
+
+    const results = [];
+    const itemOnlyFilters = filters.status || filters.due || filters.tag;
+
+    Object.values(lists).forEach(list => {
+        if (trimmed && !itemOnlyFilters && (!filters.priority || list.priority === filters.priority)) {
+            const match = fuzzyMatch(trimmed, list.name);
+            if (match) {
+                // Lists rank slightly above items with the same score
+                results.push({ type: 'list', list, item: null, score: match.score + 1 });
+            }
+        }
+
+        Object.values(list.items || {}).forEach(item => {
+            if (!matchesFilters(list, item, filters, now)) return;
+
+            const match = fuzzyMatch(trimmed, item.text);
+            if (match) {
+                results.push({ type: 'item', list, item, score: match.score });
+            }
+        });
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || compareDueDates(a, b))
+        .slice(0, MAX_RESULTS);
+}
+
+function matchesFilters(list, item, filters, now) {
+    if (filters.status && getItemStage(list, item) !== filters.status) return false;
+    if (filters.priority && (item.priority || list.priority) !== filters.priority) return false;
+    if (filters.tag && !(item.tags || []).includes(filters.tag)) return false;
+    if (filters.due && !matchesDueFilter(item, filters.due, now)) return false;
+    return true;
+}
+
+function matchesDueFilter(item, due, now) {
+    switch (due) {
+        case 'overdue':
+            return getItemDueState(item, now) === 'overdue';
+        case 'today':
+            return getDueState(item.dueDate, now) === 'today';
+        case 'week': {
+            const dueDate = parseDateKey(item.dueDate);
+            if (!dueDate || getDueState(item.dueDate, now) === 'overdue') return false;
+            const weekEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 7);
+            return dueDate < weekEnd;
+        }
+        case 'none':
+            return !item.dueDate;
+        default:
+            return true;
+    }
+}
+
+function compareDueDates(a, b) {
+    const aDue = (a.item && a.item.dueDate) || '9999-99-99';
+    const bDue = (b.item && b.item.dueDate) || '9999-99-99';
+    return aDue.localeCompare(bDue);
+}
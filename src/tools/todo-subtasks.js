@@ -0,0 +1,149 @@
+/**
+ * Todo Subtasks Module
+ * Checklist steps stored on todo items as item.subtasks
+ * Usage: import { getSubtaskProgress, addSubtask } from './todo-subtasks.js';
+ *
+ * Schema: item.subtasks = [{ id, text, done, completedAt }]
+ *         item.completeWithSubtasks = true to let the item's status follow its steps
+ */
+
+/**
+ * Create a subtask entry
+ * @param {string} text - Step description
+ * @returns {Object} Subtask
+ */
+export function createSubtask(text) {
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+        text: text,
+        done: false,
+        completedAt: null
+    };
+}
+
+/**
+ * Count completed and total subtasks
+ * @param {Object} item - Todo item
+ * @returns {Object} { done, total }
+ */
+export function getSubtaskProgress(item) {
+    const subtasks = Array.isArray(item.subtasks) ? item.subtasks : [];
+    return {
+        done: subtasks.filter(subtask => subtask.done).length,
+        total: subtasks.length
+    };
+}
+
+/**
+ * Append a subtask to an item
+ * @param {Object} item - Todo item
+ * @param {string} text - Step description
+ * @returns {Object|null} The new subtask, or null for empty text
+ */
+export function addSubtask(item, text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return null;
+
+    if (!Array.isArray(item.subtasks)) {
+        item.subtasks = [];
+    }
+    const subtask = createSubtask(trimmed);
+    item.subtasks.push(subtask);
+    return subtask;
+}
+
+/**
+ * Toggle a subtask's done state
+ * @param {Object} item - Todo item
+ * @param {string} subtaskId - Subtask ID
+ * @returns {boolean} True if the subtask was found
+ */
+export function toggleSubtask(item, subtaskId) {
+    const subtask = (item.subtasks || []).find(entry => entry.id === subtaskId);
+    if (!subtask) return false;
+
+    subtask.done = !subtask.done;
+    subtask.completedAt = subtask.done ? Date.now() : null;
+    return true;
+}
+
+/**
+ * Remove a subtask from an item
+ * @param {Object} item - Todo item
+ * @param {string} subtaskId - Subtask ID
+ */
+export function removeSubtask(item, subtaskId) {
+    if (!Array.isArray(item.subtasks)) return;
+    item.subtasks = item.subtasks.filter(entry => entry.id !== subtaskId);
+}
+
+/**
+ * Work out which status an item should move to when it follows its subtasks
+ * All steps done completes the item; reopening a step reopens a done item,
+ * and the first finished step starts a todo item.
+ * @param {Object} item - Todo item
+ * @returns {string|null} New status, or null if the status should not change
+ */
+export function getStatusFromSubtasks(item) {
+    if (!item.completeWithSubtasks) return null;
+
+    const { done, total } = getSubtaskProgress(item);
+    if (total === 0) return null;
+
+    let status = item.status;
+    if (done === total) {
+        status = 'done';
+    } else if (item.status === 'done') {
+        status = done > 0 ? 'inprogress' : 'todo';
+    } else if (item.status === 'todo' && done > 0) {
+        status = 'inprogress';
+    }
+
+    return status !== item.status ? status : null;
+}
+
+/**
+ * Bring an item's subtask fields up to the current schema
+ * @param {Object} item - Todo item (mutated)
+ * @returns {boolean} True if anything was changed
+ */
+export function migrateSubtasks(item) {
+    let changed = false;
+
+    if (!Array.isArray(item.subtasks)) {
+        item.subtasks = [];
+        changed = true;
+    }
+
+    const validSubtasks = item.subtasks.filter(subtask => subtask && (typeof subtask === 'string' || subtask.text));
+    if (validSubtasks.length !== item.subtasks.length) {
+        changed = true;
+    }
+
+    item.subtasks = validSubtasks.map(subtask => {
+        // Accept plain strings and partial entries written by hand or older builds
+        if (typeof subtask === 'string') {
+            changed = true;
+            return createSubtask(subtask);
+        }
+        if (!subtask.id || typeof subtask.done !== 'boolean' || subtask.completedAt === undefined) {
+            changed = true;
+            const defaults = createSubtask(subtask.text);
+            return {
+                ...defaults,
+                ...subtask,
+                id: subtask.id || defaults.id,
+                done: Boolean(subtask.done),
+                completedAt: subtask.completedAt || null
+            };
+        }
+        return subtask;
+    });
+
+    if (typeof item.completeWithSubtasks !== 'boolean') {
+        item.completeWithSubtasks = false;
+        changed = true;
+    }
+
+    return changed;
+}
@@ -0,0 +1,114 @@
+/**
+ * Todo Swimlanes Module
+ * Groups items from every list into horizontal lanes for the kanban all-lists board
+ * Usage: import { SWIMLANE_GROUPS, buildSwimlanes } from './todo-swimlanes.js';
+ *
+ * Lanes: { id, name, color, items: [{ list, item, stage }] } where stage is the item's
+ * built-in column ('todo', 'inprogress', 'done'; see getItemStage). Items with several
+ * tags appear in each of their tag lanes. Empty lanes are left out.
+ */
+
+import { getItemStage } from './todo-columns.js';
+import { getItemTags, getSortedTags } from './todo-tags.js';
+import { parseDateKey } from './todo-recurrence.js';
+
+export const SWIMLANE_GROUPS = {
+    list: 'List',
+    priority: 'Priority',
+    tag: 'Tag',
+    due: 'Due week'
+};
+
+const PRIORITY_ORDER = ['high', 'medium', 'low'];
+const PRIORITY_NAMES = { high: 'High priority', medium: 'Medium priority', low: 'Low priority' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Monday of the week containing a date
+ * @param {Date} date - Any date
+ * @returns {Date} Local midnight on that week's Monday
+ */
+export function getWeekStart(date) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+}
+
+/**
+ * Group items from the given lists into swimlanes
+ * @param {Object} lists - Lists map (pass active lists only)
+ * @param {string} groupBy - Key of SWIMLANE_GROUPS
+ * @param {Object} [tags] - Tag registry, for tag lanes
+ * @param {Date} [now] - Reference time, for due week lanes
+ * @returns {Array<Object>} Lanes in display order
+ */
+export function buildSwimlanes(lists, groupBy, tags = {}, now = new Date()) {
+    const lanes = new Map();
+    const addToLane = (lane, entry) => {
+        if (!lanes.has(lane.id)) {
+            lanes.set(lane.id, { ...lane, items: [] });
+        }
+        lanes.get(lane.id).items.push(entry);
+    };
+
+    Object.values(lists).forEach(list => {
+        Object.values(list.items || {}).forEach(item => {
+            const entry = { list, item, stage: getItemStage(list, item) };
+            getLanesForItem(list, item, groupBy, tags, now).forEach(lane => addToLane(lane, entry));
+        });
+    });
+
+    return [...lanes.values()].sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+function getLanesForItem(list, item, groupBy, tags, now) {
+    switch (groupBy) {
+        case 'priority': {
+            const priority = item.priority || list.priority || 'medium';
+            return [{ id: priority, name: PRIORITY_NAMES[priority] || priority, color: null, order: PRIORITY_ORDER.indexOf(priority) }];
+        }
+        case 'tag': {
+            const itemTags = getItemTags(item, tags);
+            if (itemTags.length === 0) {
+                return [{ id: 'untagged', name: 'No tag', color: null, order: Number.MAX_SAFE_INTEGER }];
+            }
+            const sorted = getSortedTags(tags);
+            return itemTags.map(tag => ({ id: tag.id, name: tag.name, color: tag.color, order: sorted.indexOf(tag) }));
+        }
+        case 'due':
+            return [getDueWeekLane(item, now)];
+        case 'list':
+        default:
+            return [{
+                id: list.id,
+                name: list.name,
+                color: null,
+                // High priority lists first, then by their position within the priority
+                order: Math.max(PRIORITY_ORDER.indexOf(list.priority), 0) * 10000 + (list.position || 0)
+            }];
+    }
+}
+
+function getDueWeekLane(item, now) {
+    const dueDate = parseDateKey(item.dueDate);
+    if (!dueDate) {
+        return { id: 'no-due', name: 'No due date', color: null, order: Number.MAX_SAFE_INTEGER };
+    }
+
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (dueDate < today && item.status !== 'done') {
+        return { id: 'overdue', name: 'Overdue', color: null, order: -1 };
+    }
+
+    const thisWeek = getWeekStart(now);
+    const weekStart = getWeekStart(dueDate);
+    const weeksAhead = Math.round((weekStart - thisWeek) / (7 * DAY_MS));
+    const label = weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+    let name = `Week of ${label}`;
+    if (weeksAhead === 0) name = 'This week';
+    if (weeksAhead === 1) name = 'Next week';
+    if (weeksAhead < 0) name = `Week of ${label} (past)`;
+
+    return { id: `week-${weekStart.getTime()}`, name, color: null, order: weekStart.getTime() };
+}
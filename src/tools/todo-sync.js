@@ -0,0 +1,370 @@
+/**
+ * Todo Sync Module
+ * Live change channel for ucanduit-todos.json shared by the todo tool and kanban windows
+ * Usage: import { TodoSync, applyTodoPatch } from './todo-sync.js';
+ *
+ * Instead of writing their whole in-memory copy, windows publish patches at list and
+ * item granularity. Receivers merge the patch into their own copy, so concurrent edits
+ * to different lists or items survive. Tauri events carry patches between windows; in
+ * browser mode the localStorage "storage" event is used instead.
+ *
+ * The tag registry is stored in the same file under TAG_REGISTRY_KEY. Windows keep it
+ * apart from the lists map in memory and it travels in an optional patch.tags section.
+ */
+
+export const TODO_SYNC_EVENT = 'todos-changed';
+export const TAG_REGISTRY_KEY = '_tags';
+const STORAGE_CHANNEL_KEY = 'ucanduit-todos-sync';
+
+/**
+ * Build a patch describing how `lists` differs from `base`
+ * @param {Object} base - Last known persisted lists map
+ * @param {Object} lists - Current lists map
+ * @returns {Object|null} Patch, or null if nothing changed
+ */
+export function diffTodoLists(base, lists) {
+    const patch = { lists: {}, items: {} };
+    let changed = false;
+
+    // Created, updated and deleted lists (list fields only; items are diffed separately)
+    Object.keys(lists).forEach(listId => {
+        const meta = getListMeta(lists[listId]);
+        if (!base[listId] || !isEqual(getListMeta(base[listId]), meta)) {
+            patch.lists[listId] = meta;
+            changed = true;
+        }
+    });
+    Object.keys(base).forEach(listId => {
+        if (!lists[listId]) {
+            patch.lists[listId] = null;
+            changed = true;
+        }
+    });
+
+    // Created, updated and deleted items within lists that still exist
+    Object.keys(lists).forEach(listId => {
+        const items = lists[listId].items || {};
+        const baseItems = (base[listId] && base[listId].items) || {};
+        const itemPatch = {};
+
+        Object.keys(items).forEach(itemId => {
+            if (!baseItems[itemId] || !isEqual(baseItems[itemId], items[itemId])) {
+                itemPatch[itemId] = clone(items[itemId]);
+            }
+        });
+        Object.keys(baseItems).forEach(itemId => {
+            if (!items[itemId]) {
+                itemPatch[itemId] = null;
+            }
+        });
+
+        if (Object.keys(itemPatch).length > 0) {
+            patch.items[listId] = itemPatch;
+            changed = true;
+        }
+    });
+
+    return changed ? patch : null;
+}
+
+/**
+ * Build the tag section of a patch
+ * @param {Object} base - Last known persisted tag registry
+ * @param {Object} tags - Current tag registry
+ * @returns {Object|null} Tag patch ({ [tagId]: tag|null }), or null if nothing changed
+ */
+export function diffTagRegistry(base, tags) {
+    const patch = {};
+
+    Object.keys(tags).forEach(tagId => {
+        if (!base[tagId] || !isEqual(base[tagId], tags[tagId])) {
+            patch[tagId] = clone(tags[tagId]);
+        }
+    });
+    Object.keys(base).forEach(tagId => {
+        if (!tags[tagId]) {
+            patch[tagId] = null;
+        }
+    });
+
+    return Object.keys(patch).length > 0 ? patch : null;
+}
+
+/**
+ * Merge the tag section of a patch into a tag registry (mutates and returns it)
+ * @param {Object} tags - Tag registry to update
+ * @param {Object|null} tagPatch - patch.tags
+ * @returns {Object} The updated registry
+ */
+export function applyTagPatch(tags, tagPatch) {
+    Object.entries(tagPatch || {}).forEach(([tagId, tag]) => {
+        if (tag === null) {
+            delete tags[tagId];
+        } else {
+            tags[tagId] = clone(tag);
+        }
+    });
+    return tags;
+}
+
+/**
+ * Separate the tag registry from the lists in ucanduit-todos.json data
+ * @param {Object|null} data - File contents
+ * @returns {Object} { lists, tags }
+ */
+export function splitTodoFile(data) {
+    const { [TAG_REGISTRY_KEY]: tags, ...lists } = data || {};
+    return { lists, tags: tags || {} };
+}
+
+/**
+ * Merge a patch, including its tag section, into ucanduit-todos.json data (mutates and returns it)
+ * @param {Object} data - File contents
+ * @param {Object} patch - Patch from TodoSync.createPatch
+ * @returns {Object} The updated file contents
+ */
+export function applyTodoFilePatch(data, patch) {
+    applyTodoPatch(data, patch);
+    if (patch.tags) {
+        data[TAG_REGISTRY_KEY] = applyTagPatch(data[TAG_REGISTRY_KEY] || {}, patch.tags);
+    }
+    return data;
+}
+
+/**
+ * Merge a patch into a lists map (mutates and returns it)
+ * @param {Object} lists - Lists map to update
+ * @param {Object} patch - Patch from diffTodoLists
+ * @returns {Object} The updated lists map
+ */
+export function applyTodoPatch(lists, patch) {
+    Object.entries(patch.lists || {}).forEach(([listId, meta]) => {
+        if (meta === null) {
+            delete lists[listId];
+        } else if (lists[listId]) {
+            const items = lists[listId].items || {};
+            lists[listId] = { ...clone(meta), items };
+        } else {
+            lists[listId] = { ...clone(meta), items: {} };
+        }
+    });
+
+    Object.entries(patch.items || {}).forEach(([listId, itemPatch]) => {
+        // A list deleted elsewhere wins over edits to its items
+        const list = lists[listId];
+        if (!list) return;
+        if (!list.items || Array.isArray(list.items)) {
+            list.items = {};
+        }
+
+        Object.entries(itemPatch).forEach(([itemId, item]) => {
+            if (item === null) {
+                delete list.items[itemId];
+            } else {
+                list.items[itemId] = clone(item);
+            }
+        });
+    });
+
+    return lists;
+}
+
+/**
+ * Per-window sync channel
+ * Tracks the last persisted snapshot so each save only publishes this window's own changes
+ */
+export class TodoSync {
+    /**
+     * @param {Function} onRemoteChange - Called with (patch) after another window publishes changes
+     */
+    constructor(onRemoteChange) {
+        this.onRemoteChange = onRemoteChange;
+        this.sourceId = `${Date.now().toString(36)}${Math.random().toString(36).substr(2)}`;
+        this.base = {};
+        this.baseTags = {};
+        this.unlisten = null;
+        this.storageHandler = null;
+        this.writeQueue = Promise.resolve();
+        this.reverts = new WeakMap();
+    }
+
+    /**
+     * Record the state that is known to be persisted (call after loading)
+     * @param {Object} lists - Lists map
+     * @param {Object} [tags] - Tag registry
+     */
+    setBase(lists, tags = {}) {
+        this.base = clone(lists);
+        this.baseTags = clone(tags);
+    }
+
+    /**
+     * Diff the current lists (and tag registry) against the last persisted state and advance the base
+     * If the patch then fails to save, hand it to rollback so the next save diffs it again.
+     * @param {Object} lists - Current lists map
+     * @param {Object} [tags] - Current tag registry; omit to leave tags out of the patch
+     * @returns {Object|null} Patch to persist and publish, or null if nothing changed
+     */
+    createPatch(lists, tags = null) {
+        let patch = diffTodoLists(this.base, lists);
+        const tagPatch = tags ? diffTagRegistry(this.baseTags, tags) : null;
+
+        if (tagPatch) {
+            patch = patch || { lists: {}, items: {} };
+            patch.tags = tagPatch;
+        }
+        if (patch) {
+            this.reverts.set(patch, invertPatch(this.base, this.baseTags, patch));
+            applyTodoPatch(this.base, patch);
+            applyTagPatch(this.baseTags, patch.tags);
+        }
+        return patch;
+    }
+
+    /**
+     * Move the base back to where it was before a patch that could not be written
+     * Only the lists, items and tags in the patch are reset, so remote changes received
+     * since are kept. The next createPatch picks the unsaved changes up again.
+     * @param {Object} patch - Patch from createPatch
+     */
+    rollback(patch) {
+        const revert = this.reverts.get(patch);
+        if (!revert) return;
+
+        this.reverts.delete(patch);
+        applyTodoPatch(this.base, revert);
+        applyTagPatch(this.baseTags, revert.tags);
+    }
+
+    /**
+     * Run a read-patch-write of ucanduit-todos.json once earlier ones have finished
+     * Saves are often not awaited, and two overlapping writes would both start from the
+     * old file, so the second would drop the first patch (which the base already counts).
+     * @param {Function} task - Async function that reads, patches and writes the file
+     * @returns {Promise} Settles with the task
+     */
+    queueWrite(task) {
+        const run = this.writeQueue.then(task);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Start listening for patches from other windows
+     */
+    async start() {
+        if (window.__TAURI__ && window.__TAURI__.event) {
+            try {
+                const { listen } = window.__TAURI__.event;
+                this.unlisten = await listen(TODO_SYNC_EVENT, (event) => this.receive(event.payload));
+                console.log('🔄 Todo sync listening for Tauri events');
+                return;
+            } catch (error) {
+                console.warn('⚠️ Tauri events unavailable for todo sync, using storage events:', error);
+            }
+        }
+
+        // Browser fallback - the storage event fires in every other same-origin window
+        this.storageHandler = (event) => {
+            if (event.key !== STORAGE_CHANNEL_KEY || !event.newValue) return;
+            try {
+                this.receive(JSON.parse(event.newValue));
+            } catch (error) {
+                console.error('Error processing todo sync message:', error);
+            }
+        };
+        window.addEventListener('storage', this.storageHandler);
+        console.log('🔄 Todo sync listening for storage events');
+    }
+
+    /**
+     * Stop listening for patches
+     */
+    stop() {
+        if (this.unlisten) {
+            this.unlisten();
+            this.unlisten = null;
+        }
+        if (this.storageHandler) {
+            window.removeEventListener('storage', this.storageHandler);
+            this.storageHandler = null;
+        }
+    }
+
+    /**
+     * Send a patch to every other window
+     * @param {Object} patch - Patch from createPatch
+     */
+    async publish(patch) {
+        const message = { sourceId: this.sourceId, timestamp: Date.now(), patch };
+
+        try {
+            if (window.__TAURI__ && window.__TAURI__.event) {
+                await window.__TAURI__.event.emit(TODO_SYNC_EVENT, message);
+                return;
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to emit todo sync event, using storage fallback:', error);
+        }
+
+        try {
+            localStorage.setItem(STORAGE_CHANNEL_KEY, JSON.stringify(message));
+        } catch (error) {
+            console.error('❌ Failed to publish todo changes:', error);
+        }
+    }
+
+    receive(message) {
+        // Tauri delivers our own events back to us
+        if (!message || !message.patch || message.sourceId === this.sourceId) return;
+
+        // Remote changes are already persisted by the sender, so fold them into the base too
+        applyTodoPatch(this.base, message.patch);
+        applyTagPatch(this.baseTags, message.patch.tags);
+        if (this.onRemoteChange) {
+            this.onRemoteChange(message.patch);
+        }
+    }
+}
+
+// The patch that takes base (and baseTags) back from `patch` to its current state
+function invertPatch(base, baseTags, patch) {
+    const revert = { lists: {}, items: {} };
+
+    Object.keys(patch.lists || {}).forEach(listId => {
+        const list = base[listId];
+        revert.lists[listId] = list ? getListMeta(list) : null;
+        // A deleted list takes its items with it, so they have to come back too
+        if (list && patch.lists[listId] === null) {
+            revert.items[listId] = clone(list.items || {});
+        }
+    });
+    Object.keys(patch.items || {}).forEach(listId => {
+        const baseItems = (base[listId] && base[listId].items) || {};
+        revert.items[listId] = revert.items[listId] || {};
+        Object.keys(patch.items[listId]).forEach(itemId => {
+            revert.items[listId][itemId] = baseItems[itemId] ? clone(baseItems[itemId]) : null;
+        });
+    });
+    if (patch.tags) {
+        revert.tags = {};
+        Object.keys(patch.tags).forEach(tagId => {
+            revert.tags[tagId] = baseTags[tagId] ? clone(baseTags[tagId]) : null;
+        });
+    }
+
+    return revert;
+}
+
+function getListMeta(list) {
+    const { items, ...meta } = list;
+    return clone(meta);
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
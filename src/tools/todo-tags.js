@@ -0,0 +1,193 @@
+/**
+ * Todo Tags Module
+ * Coloured tags for todo items, kept in a registry so renames apply everywhere
+ * Usage: import { createTag, getItemTags, renderTagChips } from './todo-tags.js';
+ *
+ * Registry (stored in ucanduit-todos.json, see TAG_REGISTRY_KEY in todo-sync.js):
+ *   { [tagId]: { id, name, color } }
+ * Items reference tags by ID in item.tags. IDs missing from the registry are ignored.
+ */
+
+export const TAG_COLORS = [
+    '#3b82f6', // blue
+    '#10b981', // green
+    '#f59e0b', // amber
+    '#ef4444', // red
+    '#8b5cf6', // violet
+    '#ec4899', // pink
+    '#14b8a6', // teal
+    '#6b7280'  // grey
+];
+
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Registry tags sorted by name
+ * @param {Object} tags - Tag registry
+ * @returns {Array<Object>} Tags
+ */
+export function getSortedTags(tags) {
+    return Object.values(tags).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a tag by name, ignoring case
+ * @param {Object} tags - Tag registry
+ * @param {string} name - Tag name
+ * @returns {Object|null} Tag, or null if there is none
+ */
+export function findTagByName(tags, name) {
+    const wanted = normalizeTagName(name).toLowerCase();
+    return Object.values(tags).find(tag => tag.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Add a tag to the registry, or return the existing tag with that name
+ * @param {Object} tags - Tag registry (mutated)
+ * @param {string} name - Tag name
+ * @param {Function} generateId - ID generator used by the calling window
+ * @param {string} [color] - Hex colour; picks the next palette colour when omitted
+ * @returns {Object|null} The tag, or null if the name is empty
+ */
+export function createTag(tags, name, generateId, color = null) {
+    const tagName = normalizeTagName(name);
+    if (!tagName) return null;
+
+    const existing = findTagByName(tags, tagName);
+    if (existing) return existing;
+
+    const id = generateId();
+    tags[id] = {
+        id,
+        name: tagName,
+        color: color || TAG_COLORS[Object.keys(tags).length % TAG_COLORS.length]
+    };
+    return tags[id];
+}
+
+/**
+ * Rename a tag
+ * @param {Object} tags - Tag registry (mutated)
+ * @param {string} tagId - Tag ID
+ * @param {string} name - New name
+ * @returns {boolean} False if the name is empty or used by another tag
+ */
+export function renameTag(tags, tagId, name) {
+    const tag = tags[tagId];
+    const tagName = normalizeTagName(name);
+    if (!tag || !tagName) return false;
+
+    const existing = findTagByName(tags, tagName);
+    if (existing && existing.id !== tagId) return false;
+
+    tag.name = tagName;
+    return true;
+}
+
+/**
+ * Change a tag's colour
+ * @param {Object} tags - Tag registry (mutated)
+ * @param {string} tagId - Tag ID
+ * @param {string} color - Hex colour
+ */
+export function setTagColor(tags, tagId, color) {
+    if (tags[tagId]) {
+        tags[tagId].color = color;
+    }
+}
+
+/**
+ * Remove a tag from the registry and from every item using it
+ * @param {Object} tags - Tag registry (mutated)
+ * @param {Object} lists - Lists map (mutated)
+ * @param {string} tagId - Tag ID
+ * @returns {number} Number of items the tag was removed from
+ */
+export function deleteTag(tags, lists, tagId) {
+    delete tags[tagId];
+
+    let count = 0;
+    Object.values(lists).forEach(list => {
+        Object.values(list.items || {}).forEach(item => {
+            if ((item.tags || []).includes(tagId)) {
+                item.tags = item.tags.filter(id => id !== tagId);
+                count++;
+            }
+        });
+    });
+    return count;
+}
+
+/**
+ * Add or remove a tag on an item
+ * @param {Object} item - Todo item (mutated)
+ * @param {string} tagId - Tag ID
+ * @returns {boolean} True if the item has the tag afterwards
+ */
+export function toggleItemTag(item, tagId) {
+    const current = item.tags || [];
+    if (current.includes(tagId)) {
+        item.tags = current.filter(id => id !== tagId);
+        return false;
+    }
+    item.tags = [...current, tagId];
+    return true;
+}
+
+/**
+ * Tags on an item, sorted by name
+ * @param {Object} item - Todo item
+ * @param {Object} tags - Tag registry
+ * @returns {Array<Object>} Tags
+ */
+export function getItemTags(item, tags) {
+    return (item.tags || [])
+        .map(tagId => tags[tagId])
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Registry tags used by at least one item, for tag filters
+ * @param {Object} lists - Lists map
+ * @param {Object} tags - Tag registry
+ * @returns {Array<Object>} Tags, sorted by name
+ */
+export function getUsedTags(lists, tags) {
+    const used = new Set();
+    Object.values(lists).forEach(list => {
+        Object.values(list.items || {}).forEach(item => {
+            (item.tags || []).forEach(tagId => used.add(tagId));
+        });
+    });
+    return getSortedTags(tags).filter(tag => used.has(tag.id));
+}
+
+/**
+ * Render a tag as a coloured chip
+ * @param {Object} tag - Tag
+ * @returns {string} HTML
+ */
+export function renderTagChip(tag) {
+    return `<span class="tag-chip" style="--tag-color: ${tag.color}" title="${escapeHtml(tag.name)}">${escapeHtml(tag.name)}</span>`;
+}
+
+/**
+ * Render an item's tags as chips
+ * @param {Object} item - Todo item
+ * @param {Object} tags - Tag registry
+ * @returns {string} HTML wrapped in .tag-chips, or '' without tags
+ */
+export function renderTagChips(item, tags) {
+    const itemTags = getItemTags(item, tags);
+    if (itemTags.length === 0) return '';
+    return `<span class="tag-chips">${itemTags.map(renderTagChip).join('')}</span>`;
+}
+
+function normalizeTagName(name) {
+    return (name || '').trim().replace(/^#+/, '').replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
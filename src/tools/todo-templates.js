@@ -0,0 +1,275 @@
+/**
+ * Todo Templates Module
+ * Reusable list templates, saved from existing lists and instantiated as new lists
+ * Usage: import { loadTemplates, createTemplateFromList, instantiateTemplate } from './todo-templates.js';
+ *
+ * Templates live in ucanduit-todo-templates.json: { templates: { [templateId]: template } }
+ *   template: { id, name, priority, dueOffset, columns, items, createdAt, updatedAt }
+ *   items: [{ text, priority, dueOffset, dueTime, estimate, recurrence, tags: [names], subtasks: [texts] }]
+ * Due dates are stored as day offsets from the day the source list was created and are
+ * turned back into dates counted from the day the template is used. Tags are kept by
+ * name so templates can move between machines. New lists start with every item to do.
+ */
+
+import { getListColumns, getItemColumnId } from './todo-columns.js';
+import { createSubtask } from './todo-subtasks.js';
+import { createTag, getItemTags } from './todo-tags.js';
+import { normalizeRecurrence, parseDateKey, toDateKey } from './todo-recurrence.js';
+
+const TEMPLATES_FILENAME = 'ucanduit-todo-templates.json';
+const TEMPLATES_STORAGE_KEY = 'ucanduit-todo-templates';
+const EXPORT_TYPE = 'ucanduit-todo-templates';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Load saved templates
+ * @returns {Promise<Object>} Templates by ID
+ */
+export async function loadTemplates() {
+    let data = null;
+
+    try {
+        if (window.__TAURI__ && window.__TAURI__.core) {
+            data = await window.__TAURI__.core.invoke('read_json_file', {
+                filename: TEMPLATES_FILENAME
+            }).catch(() => null);
+        } else {
+            data = JSON.parse(localStorage.getItem(TEMPLATES_STORAGE_KEY) || 'null');
+        }
+    } catch (error) {
+        console.warn('⚠️ Could not read list templates:', error);
+    }
+
+    return (data && data.templates) || {};
+}
+
+/**
+ * Write the templates file
+ * @param {Object} templates - Templates by ID
+ */
+export async function saveTemplates(templates) {
+    const data = { templates };
+    if (window.__TAURI__ && window.__TAURI__.core) {
+        await window.__TAURI__.core.invoke('write_json_file', {
+            filename: TEMPLATES_FILENAME,
+            data
+        });
+        return;
+    }
+    localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(data));
+}
+
+/**
+ * Templates sorted by name
+ * @param {Object} templates - Templates by ID
+ * @returns {Array<Object>} Templates
+ */
+export function getSortedTemplates(templates) {
+    return Object.values(templates).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a template by name (case-insensitive)
+ * @param {Object} templates - Templates by ID
+ * @param {string} name - Template name
+ * @returns {Object|null} The template
+ */
+export function findTemplateByName(templates, name) {
+    const wanted = name.trim().toLowerCase();
+    return Object.values(templates).find(template => template.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Build a template from a list
+ * @param {Object} list - Source list
+ * @param {Object} tags - Tag registry
+ * @param {Function} generateId - ID generator used by the calling window
+ * @param {Date} [now] - Reference time, used when the list has no createdAt
+ * @returns {Object} Template
+ */
+export function createTemplateFromList(list, tags, generateId, now = new Date()) {
+    const start = new Date(list.createdAt || now.getTime());
+    const columnIds = getListColumns(list).map(column => column.id);
+    const items = Object.values(list.items || {}).sort((a, b) =>
+        columnIds.indexOf(getItemColumnId(list, a)) - columnIds.indexOf(getItemColumnId(list, b)) ||
+        (a.position || 0) - (b.position || 0)
+    );
+
+    return {
+        id: generateId(),
+        name: list.name,
+        priority: list.priority || 'medium',
+        dueOffset: getDayOffset(start, list.dueDate),
+        columns: Array.isArray(list.columns) ? list.columns.map(column => ({ ...column })) : null,
+        items: items.map(item => ({
+            text: item.text,
+            priority: item.priority || null,
+            dueOffset: getDayOffset(start, item.dueDate),
+            dueTime: item.dueDate ? item.dueTime || null : null,
+            estimate: item.estimate || null,
+            recurrence: item.recurrence || null,
+            tags: getItemTags(item, tags).map(tag => tag.name),
+            subtasks: (item.subtasks || []).map(subtask => subtask.text)
+        })),
+        createdAt: now.getTime(),
+        updatedAt: now.getTime()
+    };
+}
+
+/**
+ * Create a new list from a template
+ * @param {Object} template - Template
+ * @param {Object} options - { name, priority } for the new list (template values when omitted)
+ * @param {Object} lists - Lists map (mutated)
+ * @param {Object} tags - Tag registry (mutated; tags are matched or created by name)
+ * @param {Function} generateId - ID generator used by the calling window
+ * @param {Date} [now] - Day due date offsets count from
+ * @returns {Object} The new list
+ */
+export function instantiateTemplate(template, options, lists, tags, generateId, now = new Date()) {
+    const createdAt = now.getTime();
+    const listId = generateId();
+    const list = {
+        id: listId,
+        name: options.name || template.name,
+        priority: options.priority || template.priority,
+        dueDate: getOffsetDate(now, template.dueOffset),
+        position: Object.keys(lists).length,
+        items: {},
+        createdAt
+    };
+    if (template.columns) {
+        list.columns = template.columns.map(column => ({ ...column }));
+    }
+
+    template.items.forEach((entry, position) => {
+        const itemId = generateId();
+        const dueDate = getOffsetDate(now, entry.dueOffset);
+        list.items[itemId] = {
+            id: itemId,
+            text: entry.text,
+            status: 'todo',
+            priority: entry.priority,
+            dueDate,
+            dueTime: dueDate ? entry.dueTime : null,
+            estimate: entry.estimate,
+            position,
+            linkedItems: [],
+            subtasks: entry.subtasks.map(text => createSubtask(text)),
+            completeWithSubtasks: false,
+            recurrence: entry.recurrence ? normalizeRecurrence(entry.recurrence) : null,
+            tags: entry.tags
+                .map(name => createTag(tags, name, generateId))
+                .filter(Boolean)
+                .map(tag => tag.id),
+            createdAt,
+            completedAt: null
+        };
+    });
+
+    lists[listId] = list;
+    return list;
+}
+
+/**
+ * Serialise templates for sharing
+ * @param {Array<Object>} templates - Templates to export
+ * @returns {string} JSON file contents
+ */
+export function exportTemplates(templates) {
+    return JSON.stringify({ type: EXPORT_TYPE, version: 1, templates }, null, 2) + '\n';
+}
+
+/**
+ * Read templates from an exported file
+ * Accepts exported files, the templates file itself, or a single template.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Templates (without IDs)
+ * @throws {Error} If the text is not JSON or contains no valid template
+ */
+export function parseTemplateImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    let entries = [data];
+    if (Array.isArray(data)) {
+        entries = data;
+    } else if (data && data.templates) {
+        entries = Array.isArray(data.templates) ? data.templates : Object.values(data.templates);
+    }
+
+    const templates = entries.map(normalizeTemplate).filter(Boolean);
+    if (templates.length === 0) {
+        throw new Error('No templates found in the file');
+    }
+    return templates;
+}
+
+/**
+ * Add imported templates; a template with the same name as an existing one replaces it
+ * @param {Object} templates - Templates by ID (mutated)
+ * @param {Array<Object>} imported - Result of parseTemplateImport
+ * @param {Function} generateId - ID generator used by the calling window
+ * @param {Date} [now] - Import time
+ * @returns {Object} { added, replaced }
+ */
+export function mergeTemplates(templates, imported, generateId, now = new Date()) {
+    const result = { added: 0, replaced: 0 };
+
+    imported.forEach(template => {
+        const existing = findTemplateByName(templates, template.name);
+        const id = existing ? existing.id : generateId();
+        templates[id] = {
+            ...template,
+            id,
+            createdAt: existing ? existing.createdAt : now.getTime(),
+            updatedAt: now.getTime()
+        };
+        result[existing ? 'replaced' : 'added']++;
+    });
+
+    return result;
+}
+
+// Whole days from the start day to a due date (null without a date)
+function getDayOffset(start, dateKey) {
+    const date = parseDateKey(dateKey);
+    if (!date) return null;
+    const startDay = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    return Math.round((date - startDay) / DAY_MS);
+}
+
+function getOffsetDate(now, offset) {
+    if (!Number.isInteger(offset)) return null;
+    return toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset));
+}
+
+function normalizeTemplate(data) {
+    if (!data || typeof data.name !== 'string' || !data.name.trim() || !Array.isArray(data.items)) {
+        return null;
+    }
+
+    return {
+        name: data.name.trim(),
+        priority: PRIORITIES.includes(data.priority) ? data.priority : 'medium',
+        dueOffset: Number.isInteger(data.dueOffset) ? data.dueOffset : null,
+        columns: Array.isArray(data.columns) ? data.columns : null,
+        items: data.items
+            .filter(item => item && typeof item.text === 'string' && item.text.trim())
+            .map(item => ({
+                text: item.text.trim(),
+                priority: PRIORITIES.includes(item.priority) ? item.priority : null,
+                dueOffset: Number.isInteger(item.dueOffset) ? item.dueOffset : null,
+                dueTime: typeof item.dueTime === 'string' ? item.dueTime : null,
+                estimate: Number(item.estimate) > 0 ? Number(item.estimate) : null,
+                recurrence: item.recurrence || null,
+                tags: Array.isArray(item.tags) ? item.tags.filter(tag => typeof tag === 'string') : [],
+                subtasks: Array.isArray(item.subtasks) ? item.subtasks.filter(text => typeof text === 'string') : []
+            }))
+    };
+}
@@ -153,10 +153,10 @@ export class ToolBase {
         console.log(`${this.constructor.name} destroyed`);
     }
     
-    // Update status in main app ticker
-    updateStatus(text, type = 'success', duration = 3000) {
+    // Update status in main app ticker (action: optional { label, run } triggered by clicking it)
+    updateStatus(text, type = 'success', duration = 3000, action = null) {
         if (window.updateStatus) {
-            window.updateStatus(text, type, duration);
+            window.updateStatus(text, type, duration, action);
         }
     }
 }
\ No newline at end of file